@@ -0,0 +1,15 @@
+-- Add challenge_runs column to user_progress table
+-- This column stores one entry per completed challenge/test run, e.g.
+-- { "id": "fools-mate", "type": "game", "completedAt": "...", "peeks": 1, "peekBudget": 3,
+--   "segment": { "fromMove": 0, "toMove": 7 },
+--   "hints": 2, "hintPenalty": 3, "wrongTries": 1, "totalTimeMs": 95000, "accuracy": 96, "score": 93,
+--   "moves": [{ "moveIndex": 0, "wrongTries": 0, "hints": 0, "hintPenalty": 0, "timeMs": 4200 }, ...],
+--   "hintFree": false, "clean": false }
+-- Entries are appended with append_progress_entries (create-append-progress-entries-function.sql),
+-- which keeps the last 1000.
+
+ALTER TABLE user_progress 
+ADD COLUMN IF NOT EXISTS challenge_runs JSONB DEFAULT '[]'::jsonb;
+
+-- Add comment to document the column
+COMMENT ON COLUMN user_progress.challenge_runs IS 'Array of completed challenge/test runs: peeks used, peek budget, hint levels shown, hint penalty and whether the run was hint-free / clean (no peeks, no hints)';
@@ -0,0 +1,11 @@
+-- Add checkpoint_results column to user_progress table
+-- This column stores one entry per answered position checkpoint quiz, e.g.
+-- { "gameId": "fools-mate", "moveIndex": 10, "type": "locate", "correct": true, "answeredAt": "..." }
+-- Entries are appended with append_progress_entries (create-append-progress-entries-function.sql),
+-- which keeps the last 1000.
+
+ALTER TABLE user_progress 
+ADD COLUMN IF NOT EXISTS checkpoint_results JSONB DEFAULT '[]'::jsonb;
+
+-- Add comment to document the column
+COMMENT ON COLUMN user_progress.checkpoint_results IS 'Array of position checkpoint quiz answers: game, move index, question type and whether the answer was correct';
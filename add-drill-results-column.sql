@@ -0,0 +1,11 @@
+-- Add drill_results column to user_progress table
+-- This column stores one entry per answered board-vision drill (drills.html), e.g.
+-- { "type": "knightPath", "correct": true, "timeMs": 8400, "answeredAt": "..." }
+-- Entries are appended with append_progress_entries (create-append-progress-entries-function.sql),
+-- which keeps the last 1000.
+
+ALTER TABLE user_progress 
+ADD COLUMN IF NOT EXISTS drill_results JSONB DEFAULT '[]'::jsonb;
+
+-- Add comment to document the column
+COMMENT ON COLUMN user_progress.drill_results IS 'Array of board-vision drill answers: drill type, whether the answer was correct and how long it took';
@@ -0,0 +1,138 @@
+// Board-vision drills for drills.html
+// Drills on the bare geometry of the board, without any pieces to remember: the color of a
+// square, the shortest knight route between two squares, and the squares a bishop sees.
+// Squares are converted with squareToCoords / coordsToSquare from custom-games.js, which
+// must be loaded first. Nothing in here touches the DOM.
+//
+// API
+//   BoardDrills.types                        - ['squareColor', 'knightPath', 'bishopSquares']
+//   BoardDrills.squareColor(square)          - 'light' or 'dark'
+//   BoardDrills.knightMoves(square)          - squares a knight on `square` can jump to
+//   BoardDrills.knightDistance(from, to)     - fewest knight moves from one square to the other
+//   BoardDrills.bishopSquares(square)        - squares a bishop on `square` sees on an empty board
+//   BoardDrills.createDrill(type, random)    - a drill: { type, prompt, ... , answer }
+//       squareColor:   { square, answer: 'light' | 'dark' }
+//       knightPath:    { from, to, answer: shortest number of moves } - answered with the squares landed on
+//       bishopSquares: { square, answer: [squares] }                  - answered with the squares seen
+//   BoardDrills.isCorrect(drill, answer)     - score an answer ('light'/'dark' or a list of squares)
+class BoardDrills {
+    static get types() {
+        return ['squareColor', 'knightPath', 'bishopSquares'];
+    }
+
+    static get squares() {
+        const squares = [];
+        for (let rank = 0; rank < 8; rank++) {
+            for (let file = 0; file < 8; file++) {
+                squares.push(coordsToSquare([rank, file]));
+            }
+        }
+        return squares;
+    }
+
+    static isOnBoard(rank, file) {
+        return rank >= 0 && rank < 8 && file >= 0 && file < 8;
+    }
+
+    // a8 is light, like every square whose rank and file indexes add up to an even number
+    static squareColor(square) {
+        const [rank, file] = squareToCoords(square);
+        return (rank + file) % 2 === 0 ? 'light' : 'dark';
+    }
+
+    static knightMoves(square) {
+        const [rank, file] = squareToCoords(square);
+        const offsets = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+        return offsets
+            .filter(([rankStep, fileStep]) => this.isOnBoard(rank + rankStep, file + fileStep))
+            .map(([rankStep, fileStep]) => coordsToSquare([rank + rankStep, file + fileStep]));
+    }
+
+    // Breadth-first search over knight jumps
+    static knightDistance(from, to) {
+        const distances = { [from]: 0 };
+        const queue = [from];
+        while (queue.length) {
+            const square = queue.shift();
+            if (square === to) return distances[square];
+            this.knightMoves(square).forEach(next => {
+                if (!(next in distances)) {
+                    distances[next] = distances[square] + 1;
+                    queue.push(next);
+                }
+            });
+        }
+        return Infinity;
+    }
+
+    static bishopSquares(square) {
+        const [rank, file] = squareToCoords(square);
+        const seen = [];
+        [[-1, -1], [-1, 1], [1, -1], [1, 1]].forEach(([rankStep, fileStep]) => {
+            for (let distance = 1; this.isOnBoard(rank + rankStep * distance, file + fileStep * distance); distance++) {
+                seen.push(coordsToSquare([rank + rankStep * distance, file + fileStep * distance]));
+            }
+        });
+        return seen.sort();
+    }
+
+    // random is injectable so that tests can pick the drill
+    static createDrill(type = null, random = Math.random) {
+        const pick = list => list[Math.floor(random() * list.length)];
+        const drillType = type || pick(this.types);
+
+        if (drillType === 'squareColor') {
+            const square = pick(this.squares);
+            return { type: drillType, prompt: `What color is ${square}?`, square: square, answer: this.squareColor(square) };
+        }
+
+        if (drillType === 'knightPath') {
+            const from = pick(this.squares);
+            const to = pick(this.squares.filter(square => square !== from));
+            return {
+                type: drillType,
+                prompt: `Shortest knight path from ${from} to ${to}: click every square the knight lands on`,
+                from: from,
+                to: to,
+                answer: this.knightDistance(from, to)
+            };
+        }
+
+        if (drillType === 'bishopSquares') {
+            const square = pick(this.squares);
+            return {
+                type: drillType,
+                prompt: `Which squares does the ${square} bishop see? Click them all (empty board)`,
+                square: square,
+                answer: this.bishopSquares(square)
+            };
+        }
+
+        throw new Error(`Unknown drill type: ${drillType}`);
+    }
+
+    static isCorrect(drill, answer) {
+        if (drill.type === 'squareColor') {
+            return answer === drill.answer;
+        }
+
+        if (drill.type === 'knightPath') {
+            // Any route of the shortest length will do, as long as every step is a knight jump
+            if (!Array.isArray(answer) || answer.length !== drill.answer || answer[answer.length - 1] !== drill.to) {
+                return false;
+            }
+            return answer.every((square, index) => this.knightMoves(index === 0 ? drill.from : answer[index - 1]).includes(square));
+        }
+
+        if (drill.type === 'bishopSquares') {
+            const chosen = [...new Set(answer || [])].sort();
+            return chosen.length === drill.answer.length && chosen.every((square, index) => square === drill.answer[index]);
+        }
+
+        return false;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BoardDrills };
+}
@@ -0,0 +1,235 @@
+// Shared board and game state for the trainers (games.html and puzzles.html)
+// Tracks the position of a game or puzzle on a ChessMoveParser and works out, for each
+// moves_detailed entry, which pieces appear, move or disappear on the board. Nothing in
+// here touches the DOM: the pages keep the drawing, animations and sounds and simply
+// apply the board changes handed back, so castling, en passant and promotion are
+// handled in one place for both trainers.
+//
+// API (positions are { square: pieceImage } maps, e.g. { e1: 'Chess_klt45.svg.png' })
+//   BoardState.standardPosition            - the standard starting position
+//   BoardState.positionFromFEN(fen)        - the pieces of a FEN (throws if the FEN is invalid)
+//   BoardState.comparePositions(exp, act)  - square-by-square diff and score of a rebuilt position
+//   new BoardState(parser)                 - track positions on the given ChessMoveParser
+//   reset(game)                            - back to the game's start: its FEN, else the standard position
+//   getStartIndex(game)                    - first entry played from that start (puzzles given as a FEN start part-way)
+//   getInitialPosition(game)               - pieces to draw at the start of the game
+//   getPosition()                          - pieces of the position currently tracked
+//   getMoveSquares(entry)                  - { from, to, isWhite, notation } of an entry, from its stored squares
+//   getValidTargets(game, moveIndex, from) - squares the piece on `from` may go to for the entry at moveIndex
+//   resolveMove(entry)                     - the parsed move for an entry in the current position, or null
+//   applyMove(entry)                       - play an entry; returns its board changes (see applyMove), or null
+//   goToMove(game, moveIndex)              - replay from the start up to, but not including, moveIndex
+//   getLastMoves(game, moveIndex)          - { square: index of the entry that last moved the piece there } after that replay
+class BoardState {
+    constructor(parser) {
+        this.parser = parser;
+    }
+
+    static get standardPosition() {
+        return this.positionFromFEN('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1');
+    }
+
+    static positionFromFEN(fen) {
+        return this.positionFromBoard(new ChessMoveParser(fen));
+    }
+
+    // Convert a parser's board (square -> FEN letter) into piece images
+    static positionFromBoard(parser) {
+        const position = {};
+        Object.entries(parser.board).forEach(([square, piece]) => {
+            position[square] = parser.getPieceImage(piece.toUpperCase(), piece === piece.toUpperCase());
+        });
+        return position;
+    }
+
+    // Compare a position rebuilt from memory with the real one. Both map squares to pieces (images or
+    // letters, as long as both use the same). Every real piece placed right is a point; the score is
+    // the share of points out of the real pieces plus any pieces placed on squares that should be empty:
+    //   { squares: [{ square, expected, actual, status }], correct, wrong, missing, extra, total, score }
+    // status is 'correct', 'wrong' (another piece), 'missing' (left empty) or 'extra' (should be empty)
+    static comparePositions(expected, actual) {
+        const result = { squares: [], correct: 0, wrong: 0, missing: 0, extra: 0, total: Object.keys(expected).length, score: 0 };
+        const squares = [...new Set([...Object.keys(expected), ...Object.keys(actual)])].sort();
+
+        squares.forEach(square => {
+            const expectedPiece = expected[square] || null;
+            const actualPiece = actual[square] || null;
+            if (!expectedPiece && !actualPiece) return;
+
+            const status = expectedPiece === actualPiece ? 'correct' : !expectedPiece ? 'extra' : !actualPiece ? 'missing' : 'wrong';
+            result[status]++;
+            result.squares.push({ square, expected: expectedPiece, actual: actualPiece, status });
+        });
+
+        const points = result.total + result.extra;
+        result.score = points ? Math.round(result.correct / points * 100) : 100;
+        return result;
+    }
+
+    // Reset the parser to the game's FEN, falling back to the standard position if it is invalid
+    reset(game) {
+        const fen = game && game.fen;
+        try {
+            this.parser.resetBoard(fen || null);
+        } catch (error) {
+            console.error('❌ Invalid FEN, using the standard starting position:', error.message);
+            this.parser.resetBoard();
+        }
+    }
+
+    // A FEN already contains the moves before initial_move_index; without one they are replayed from the start
+    getStartIndex(game) {
+        return game && game.fen ? game.initial_move_index || 0 : 0;
+    }
+
+    getInitialPosition(game) {
+        if (game && game.fen) {
+            try {
+                return BoardState.positionFromFEN(game.fen);
+            } catch (error) {
+                console.error('❌ Invalid FEN, using the standard starting position:', error.message);
+            }
+        } else if (game && game.initial_position) {
+            return Object.assign({}, game.initial_position);
+        }
+        return BoardState.standardPosition;
+    }
+
+    getPosition() {
+        return BoardState.positionFromBoard(this.parser);
+    }
+
+    // The stored squares of an entry; without them only the target can be read from the notation
+    getMoveSquares(entry) {
+        if (!entry || (!entry.white && !entry.black)) return null;
+
+        const isWhite = !!entry.white;
+        const notation = entry.white || entry.black;
+        let from = isWhite ? entry.white_from : entry.black_from;
+        let to = isWhite ? entry.white_to : entry.black_to;
+
+        if (!from || !to) {
+            try {
+                const parsed = this.parser.parseNotation(notation, isWhite);
+                from = from || parsed.source;
+                to = to || parsed.target;
+            } catch (error) {
+                console.warn('⚠️ Could not read move squares:', error.message);
+            }
+        }
+
+        return { from: from || null, to: to || null, isWhite, notation };
+    }
+
+    // The trainers only accept the move the game continues with, so there is one target at most
+    getValidTargets(game, moveIndex, fromSquare) {
+        if (!game || moveIndex >= game.moves_detailed.length) return [];
+
+        const squares = this.getMoveSquares(game.moves_detailed[moveIndex]);
+        if (!squares || !squares.to || squares.from !== fromSquare) {
+            return [];
+        }
+        return [squares.to];
+    }
+
+    // Resolve an entry against the tracked position. If the notation is illegal or ambiguous there, this
+    // warns and returns null: the stored squares are never played in place of a move the parser rejects
+    resolveMove(entry) {
+        const isWhite = !!entry.white;
+        const notation = entry.white || entry.black;
+        const from = isWhite ? entry.white_from : entry.black_from;
+        const to = isWhite ? entry.white_to : entry.black_to;
+
+        try {
+            const move = this.parser.parseMove(notation, isWhite);
+            if (from && to && (move.source !== from || move.target !== to)) {
+                console.warn(`⚠️ ${notation} is ${move.source}-${move.target} but the stored squares are ${from}-${to}`);
+            }
+            return move;
+        } catch (error) {
+            console.warn(`⚠️ Could not resolve ${notation}:`, error.message);
+            return null;
+        }
+    }
+
+    // Play an entry on the parser and return what changed on the board, in drawing order:
+    //   { from, to, piece } - a piece moves (piece is the image it ends up as, e.g. after promotion)
+    //   { remove }          - a piece disappears without being replaced (the pawn taken en passant)
+    // The first change is always the move of the piece named by the notation; castling adds the rook.
+    // An entry that cannot be resolved (see resolveMove) is not played: null is returned and the position stays.
+    applyMove(entry) {
+        if (!entry.white && !entry.black) return [];
+
+        const isWhite = !!entry.white;
+        const move = this.resolveMove(entry);
+        if (!move) return null;
+
+        const before = Object.assign({}, this.parser.board);
+        // Chess960 castling is stored as the king taking its own rook, but the king lands on the g or c file
+        const to = move.isCastling ? this.parser.getCastlingSquares(isWhite, move.isLong).kingTo : move.target;
+
+        this.parser.updatePiecePosition(move.piece, move.source, move.target, isWhite, move.promotion || null);
+
+        const after = this.parser.board;
+        const landed = after[to];
+        const changes = [{
+            from: move.source,
+            to: to,
+            piece: this.parser.getPieceImage(landed.toUpperCase(), landed === landed.toUpperCase())
+        }];
+
+        // Any other square that changed belongs to a rook that castled or a pawn taken en passant.
+        // In Chess960 the rook may leave a square that the king lands on, so look at every changed square.
+        const vacated = Object.keys(before).filter(square => square !== move.source && after[square] !== before[square]);
+        Object.keys(after).forEach(square => {
+            if (square === to || after[square] === before[square]) return;
+
+            const fromIndex = vacated.findIndex(vacatedSquare => before[vacatedSquare] === after[square]);
+            if (fromIndex !== -1) {
+                const piece = after[square];
+                changes.push({ from: vacated[fromIndex], to: square, piece: this.parser.getPieceImage(piece.toUpperCase(), piece === piece.toUpperCase()) });
+                vacated.splice(fromIndex, 1);
+            }
+        });
+        vacated.filter(square => !after[square]).forEach(square => changes.push({ remove: square }));
+
+        return changes;
+    }
+
+    goToMove(game, moveIndex) {
+        this.reset(game);
+        const entries = game ? game.moves_detailed : [];
+        for (let i = this.getStartIndex(game); i < moveIndex && i < entries.length; i++) {
+            this.applyMove(entries[i]);
+        }
+        return this.getPosition();
+    }
+
+    // Like goToMove, but report for every occupied square which entry last moved its piece there
+    // (-1 for pieces still on their starting square), e.g. for fading pieces that have stood still
+    getLastMoves(game, moveIndex) {
+        this.reset(game);
+        const lastMoves = {};
+        Object.keys(this.parser.board).forEach(square => {
+            lastMoves[square] = -1;
+        });
+
+        const entries = game ? game.moves_detailed : [];
+        for (let i = this.getStartIndex(game); i < moveIndex && i < entries.length; i++) {
+            const changes = this.applyMove(entries[i]);
+            if (!changes) continue;
+            // Lift everything first: castling king and rook can swap squares in Chess960
+            changes.forEach(change => {
+                delete lastMoves[change.remove || change.from];
+            });
+            changes.forEach(change => {
+                if (!change.remove) lastMoves[change.to] = i;
+            });
+        }
+        return lastMoves;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BoardState };
+}
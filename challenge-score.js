@@ -0,0 +1,77 @@
+// Scoring of challenge (test) runs
+// Keeps, for every move the trainee plays from memory, the wrong tries, the hint levels shown and
+// the thinking time, and sums them up for the completion badge and the progress tracker.
+// Times are passed in (Date.now() on the page) so that the scoring can be tested.
+//
+// API
+//   new ChallengeScore()
+//   score.startMove(now)                    - start the clock for the next move of the trainee
+//   score.wrongTry(moveIndex)               - a wrong move was tried for the entry at moveIndex
+//   score.hint(moveIndex, penalty)          - a hint level was shown for the entry at moveIndex
+//   score.completeMove(moveIndex, now)      - the entry at moveIndex was played; its time is taken
+//   score.summary()                         - { moves: [{ moveIndex, wrongTries, hints, hintPenalty, timeMs }],
+//                                               movesPlayed, wrongTries, hints, hintPenalty,
+//                                               totalTimeMs, averageMoveTimeMs, accuracy, score }
+// accuracy is the share of tries that were right; score is the accuracy less the hint penalty (0 to 100)
+class ChallengeScore {
+    constructor() {
+        this.moves = {};
+        this.moveStartedAt = null;
+    }
+
+    getMove(moveIndex) {
+        if (!this.moves[moveIndex]) {
+            this.moves[moveIndex] = { moveIndex: moveIndex, wrongTries: 0, hints: 0, hintPenalty: 0, timeMs: null };
+        }
+        return this.moves[moveIndex];
+    }
+
+    startMove(now) {
+        this.moveStartedAt = now;
+    }
+
+    wrongTry(moveIndex) {
+        this.getMove(moveIndex).wrongTries++;
+    }
+
+    hint(moveIndex, penalty) {
+        const move = this.getMove(moveIndex);
+        move.hints++;
+        move.hintPenalty += penalty;
+    }
+
+    completeMove(moveIndex, now) {
+        const move = this.getMove(moveIndex);
+        move.timeMs = this.moveStartedAt === null ? 0 : Math.max(0, now - this.moveStartedAt);
+        this.moveStartedAt = now;
+        return move;
+    }
+
+    summary() {
+        const moves = Object.values(this.moves).sort((a, b) => a.moveIndex - b.moveIndex);
+        const played = moves.filter(move => move.timeMs !== null);
+        const sum = (list, key) => list.reduce((total, move) => total + move[key], 0);
+
+        const wrongTries = sum(moves, 'wrongTries');
+        const hintPenalty = sum(moves, 'hintPenalty');
+        const totalTimeMs = sum(played, 'timeMs');
+        const tries = played.length + wrongTries;
+        const accuracy = tries ? Math.round(played.length / tries * 100) : 100;
+
+        return {
+            moves: moves.map(move => ({ ...move })),
+            movesPlayed: played.length,
+            wrongTries: wrongTries,
+            hints: sum(moves, 'hints'),
+            hintPenalty: hintPenalty,
+            totalTimeMs: totalTimeMs,
+            averageMoveTimeMs: played.length ? Math.round(totalTimeMs / played.length) : 0,
+            accuracy: accuracy,
+            score: Math.max(0, accuracy - hintPenalty)
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChallengeScore };
+}
@@ -0,0 +1,138 @@
+// Position checkpoint quizzes for blindfold replays
+// Every few moves the trainer pauses and asks about the position on its ChessMoveParser:
+// where a piece stands, whether a square is attacked, or what stands on a square.
+// Nothing in here touches the DOM; the page shows the question and passes the answer back.
+//
+// API
+//   CheckpointQuiz.questionTypes                        - ['locate', 'attacked', 'occupant']
+//   CheckpointQuiz.isCheckpoint(moveIndex, interval, n)  - whether to stop after moveIndex of n entries
+//   CheckpointQuiz.describePiece(letter)                 - 'N' -> 'White knight', 'q' -> 'Black queen'
+//   CheckpointQuiz.createQuestion(parser, type, random)  - a question about the parser's position:
+//       { type: 'locate', prompt, piece, answer: [squares] }  - click (one of) the squares of a piece
+//       { type: 'attacked', prompt, square, byColor, answer } - yes/no, answer is a boolean
+//       { type: 'occupant', prompt, square, answer }          - FEN letter of the piece, '' when empty
+//   CheckpointQuiz.isCorrect(question, answer)          - score an answer (a square, boolean or letter)
+//   CheckpointQuiz.parseTypedAnswer(question, text)     - read a typed answer ('e4', 'yes', 'black knight', 'n',
+//                                                          'empty', ...) into the form isCorrect takes; null if unreadable
+class CheckpointQuiz {
+    static get questionTypes() {
+        return ['locate', 'attacked', 'occupant'];
+    }
+
+    static get pieceNames() {
+        return { K: 'king', Q: 'queen', R: 'rook', B: 'bishop', N: 'knight', P: 'pawn' };
+    }
+
+    static get squares() {
+        const squares = [];
+        'abcdefgh'.split('').forEach(file => {
+            for (let rank = 1; rank <= 8; rank++) {
+                squares.push(file + rank);
+            }
+        });
+        return squares;
+    }
+
+    // Stop every `interval` entries, but not before the first move or after the last one
+    static isCheckpoint(moveIndex, interval, totalMoves) {
+        return interval > 0 && moveIndex > 0 && moveIndex < totalMoves && moveIndex % interval === 0;
+    }
+
+    static describePiece(letter) {
+        const color = letter === letter.toUpperCase() ? 'White' : 'Black';
+        return `${color} ${this.pieceNames[letter.toUpperCase()]}`;
+    }
+
+    // random is injectable so that tests can pick the question
+    static createQuestion(parser, type = null, random = Math.random) {
+        const pick = list => list[Math.floor(random() * list.length)];
+        const board = parser.board;
+        const occupied = Object.keys(board);
+        const questionType = type || pick(this.questionTypes);
+
+        if (questionType === 'locate') {
+            const piece = board[pick(occupied)];
+            const answer = occupied.filter(square => board[square] === piece);
+            const name = this.describePiece(piece);
+            return {
+                type: 'locate',
+                prompt: answer.length > 1 ? `Click a square with a ${name}` : `Click the square of the ${name}`,
+                piece: piece,
+                answer: answer
+            };
+        }
+
+        if (questionType === 'attacked') {
+            const byColor = pick(['white', 'black']);
+            // Ask about attacked and unattacked squares equally often, or nearly every answer would be "no"
+            const attacked = this.squares.filter(square => parser.isSquareAttacked(square, byColor));
+            const unattacked = this.squares.filter(square => !attacked.includes(square));
+            const candidates = attacked.length && (random() < 0.5 || !unattacked.length) ? attacked : unattacked;
+            const square = pick(candidates);
+            return {
+                type: 'attacked',
+                prompt: `Is ${square} attacked by ${byColor === 'white' ? 'White' : 'Black'}?`,
+                square: square,
+                byColor: byColor,
+                answer: attacked.includes(square)
+            };
+        }
+
+        if (questionType === 'occupant') {
+            // Mostly occupied squares: "empty" is the easy answer on a board that is mostly empty
+            const empty = this.squares.filter(square => !board[square]);
+            const square = random() < 0.75 || !empty.length ? pick(occupied) : pick(empty);
+            return {
+                type: 'occupant',
+                prompt: `What's on ${square}?`,
+                square: square,
+                answer: board[square] || ''
+            };
+        }
+
+        throw new Error(`Unknown question type: ${questionType}`);
+    }
+
+    // For the board-less notation mode, where every answer is typed
+    static parseTypedAnswer(question, text) {
+        const typed = String(text || '').trim().toLowerCase().replace(/[?.!]+$/, '');
+        if (!typed) return null;
+
+        if (question.type === 'locate') {
+            return /^[a-h][1-8]$/.test(typed) ? typed : null;
+        }
+
+        if (question.type === 'attacked') {
+            if (['y', 'yes', 'true'].includes(typed)) return true;
+            if (['n', 'no', 'false'].includes(typed)) return false;
+            return null;
+        }
+
+        if (question.type === 'occupant') {
+            if (['-', 'empty', 'nothing', 'none'].includes(typed)) return '';
+            // A bare FEN letter keeps its case: 'N' is a White knight, 'n' a Black one
+            const original = String(text).trim();
+            if (/^[KQRBNPkqrbnp]$/.test(original)) return original;
+
+            const words = typed.split(/\s+/);
+            const color = words.length === 2 ? words[0] : null;
+            const name = words[words.length - 1];
+            const letter = Object.keys(this.pieceNames).find(key => this.pieceNames[key] === name || key.toLowerCase() === name);
+            if (!letter || !['white', 'black'].includes(color)) return null;
+            return color === 'white' ? letter : letter.toLowerCase();
+        }
+
+        return null;
+    }
+
+    static isCorrect(question, answer) {
+        if (question.type === 'locate') {
+            return question.answer.includes(answer);
+        }
+        return question.answer === answer;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CheckpointQuiz };
+}
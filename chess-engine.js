@@ -0,0 +1,164 @@
+// Built-in chess engine for blindfold games against the computer
+// A small alpha-beta search over the legal moves of a ChessMoveParser (chess-move-parser.js), with a
+// material and piece-square evaluation. It runs in the page, without any network or worker, so the
+// depth is kept low; the weaker levels also add some noise to the move scores so they make mistakes.
+//
+// API
+//   ChessEngine.levels                      - [{ id, name, depth, noise }], from the weakest to the strongest
+//   new ChessEngine(levelId)                - an engine playing at that level (throws for an unknown level)
+//   engine.chooseMove(parser, random)       - the move to play for parser.sideToMove, as a legal move of
+//                                             parser.generateLegalMoves(), or null if there is none.
+//                                             The parser is left in the position it was given in.
+//   ChessEngine.evaluate(parser)            - static score of the position in centipawns, from White's side
+class ChessEngine {
+    static get levels() {
+        return [
+            { id: 'beginner', name: 'Beginner', depth: 1, noise: 200 },
+            { id: 'casual', name: 'Casual', depth: 2, noise: 60 },
+            { id: 'club', name: 'Club player', depth: 3, noise: 0 }
+        ];
+    }
+
+    static get pieceValues() {
+        return { P: 100, N: 320, B: 330, R: 500, Q: 900, K: 0 };
+    }
+
+    // Higher than any material score; a mate found sooner scores higher
+    static get mateScore() {
+        return 100000;
+    }
+
+    constructor(levelId) {
+        this.level = ChessEngine.levels.find(level => level.id === levelId);
+        if (!this.level) {
+            throw new Error(`Unknown engine level: ${levelId}`);
+        }
+    }
+
+    // Material, plus small bonuses for centralised knights and bishops, advanced pawns and a sheltered king
+    static evaluate(parser) {
+        let score = 0;
+        const queens = Object.values(parser.board).filter(piece => piece.toUpperCase() === 'Q').length;
+
+        Object.entries(parser.board).forEach(([square, piece]) => {
+            const type = piece.toUpperCase();
+            const isWhite = piece === type;
+            const file = square.charCodeAt(0) - 97;
+            const rank = parseInt(square[1]) - 1;
+            const advance = isWhite ? rank : 7 - rank;
+            const centre = 6 - Math.abs(3.5 - file) - Math.abs(3.5 - rank);
+            let value = this.pieceValues[type];
+
+            if (type === 'N' || type === 'B') {
+                value += Math.round(centre * (type === 'N' ? 8 : 4));
+            } else if (type === 'P') {
+                value += advance * (file >= 2 && file <= 5 ? 8 : 4);
+            } else if (type === 'K' && queens > 0) {
+                value -= advance * 15;
+            }
+            score += isWhite ? value : -value;
+        });
+
+        return score;
+    }
+
+    chooseMove(parser, random = Math.random) {
+        const isWhite = parser.sideToMove === 'white';
+        const moves = this.orderMoves(parser, parser.generateLegalMoves(isWhite));
+        if (moves.length === 0) return null;
+
+        let bestMove = null;
+        let bestScore = -Infinity;
+        moves.forEach(move => {
+            const state = this.playMove(parser, move);
+            const score = -this.search(parser, this.level.depth - 1, -Infinity, Infinity, 1) + random() * this.level.noise;
+            this.undoMove(parser, state);
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestMove = move;
+            }
+        });
+
+        return bestMove;
+    }
+
+    // Negamax with alpha-beta pruning; scores are from the side to move
+    search(parser, depth, alpha, beta, ply) {
+        const isWhite = parser.sideToMove === 'white';
+        if (parser.getDrawReason()) return 0;
+        if (depth <= 0) {
+            return ChessEngine.evaluate(parser) * (isWhite ? 1 : -1);
+        }
+
+        // Pseudo-legal moves are played straight away, and taken back if they leave the king attacked:
+        // cheaper than filtering them with generateLegalMoves at every node
+        let legalMoves = 0;
+        for (const move of this.orderMoves(parser, parser.generatePseudoLegalMoves(isWhite))) {
+            const state = this.playMove(parser, move);
+            if (parser.isInCheck(isWhite)) {
+                this.undoMove(parser, state);
+                continue;
+            }
+            legalMoves++;
+            const score = -this.search(parser, depth - 1, -beta, -alpha, ply + 1);
+            this.undoMove(parser, state);
+
+            if (score >= beta) return beta;
+            if (score > alpha) alpha = score;
+        }
+
+        if (legalMoves === 0) {
+            return parser.isInCheck(isWhite) ? -(ChessEngine.mateScore - ply) : 0;
+        }
+        return alpha;
+    }
+
+    // Captures and promotions first, the most valuable victim taken by the least valuable piece first,
+    // so that alpha-beta cuts off early
+    orderMoves(parser, moves) {
+        const gain = move => {
+            const victim = move.isEnPassant ? 'P' : move.isCastling ? null : parser.board[move.target];
+            let value = victim ? ChessEngine.pieceValues[victim.toUpperCase()] * 10 - ChessEngine.pieceValues[move.piece] / 100 : 0;
+            if (move.promotion) {
+                value += ChessEngine.pieceValues[move.promotion] * 10;
+            }
+            return value;
+        };
+        return moves.map(move => ({ move: move, gain: gain(move) }))
+            .sort((a, b) => b.gain - a.gain)
+            .map(entry => entry.move);
+    }
+
+    // Play a move on the parser and return what is needed to take it back
+    playMove(parser, move) {
+        const state = {
+            board: Object.assign({}, parser.board),
+            castlingRights: {
+                white: Object.assign({}, parser.castlingRights.white),
+                black: Object.assign({}, parser.castlingRights.black)
+            },
+            enPassantSquare: parser.enPassantSquare,
+            halfmoveClock: parser.halfmoveClock,
+            fullmoveNumber: parser.fullmoveNumber,
+            sideToMove: parser.sideToMove,
+            historyLength: parser.positionHistory.length
+        };
+        parser.updatePiecePosition(move.piece, move.source, move.target, move.isWhite, move.promotion || null);
+        return state;
+    }
+
+    undoMove(parser, state) {
+        parser.board = state.board;
+        parser.castlingRights = state.castlingRights;
+        parser.enPassantSquare = state.enPassantSquare;
+        parser.halfmoveClock = state.halfmoveClock;
+        parser.fullmoveNumber = state.fullmoveNumber;
+        parser.sideToMove = state.sideToMove;
+        parser.positionHistory.length = state.historyLength;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChessEngine };
+}
@@ -1,6 +1,10 @@
 // Universal Chess Move Parser
+// Backed by a board model that generates legal moves (occupancy, blocked paths,
+// pins, castling rights, en passant), so every SAN move resolves to exactly one
+// source square or throws an Error describing why it could not be resolved.
 class ChessMoveParser {
-    constructor() {
+    // Starts from the standard position, or from the given FEN (throws if the FEN is invalid)
+    constructor(fen = null) {
         this.pieceMap = {
             'K': 'king', 'Q': 'queen', 'R': 'rook', 'B': 'bishop', 'N': 'knight', 'P': 'pawn'
         };
@@ -13,27 +17,153 @@ class ChessMoveParser {
             'P': { white: 'Chess_plt45.svg.png', black: 'Chess_pdt45.svg.png' }
         };
         
-        // Track piece positions for accurate move parsing
-        this.piecePositions = this.initializePiecePositions();
+        // Movement patterns as [fileStep, rankStep] pairs
+        this.knightOffsets = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+        this.kingOffsets = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+        this.rookDirections = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+        this.bishopDirections = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+        
+        // Board model: square -> FEN piece letter (uppercase = white, lowercase = black)
+        this.resetBoard(fen);
     }
 
     initializePiecePositions() {
-        // Initialize with starting positions
-        return {
-            white: {
-                'K': 'e1', 'Q': 'd1', 'R': ['a1', 'h1'], 'B': ['c1', 'f1'], 'N': ['b1', 'g1'],
-                'P': ['a2', 'b2', 'c2', 'd2', 'e2', 'f2', 'g2', 'h2']
-            },
-            black: {
-                'K': 'e8', 'Q': 'd8', 'R': ['a8', 'h8'], 'B': ['c8', 'f8'], 'N': ['b8', 'g8'],
-                'P': ['a7', 'b7', 'c7', 'd7', 'e7', 'f7', 'g7', 'h7']
-            }
-        };
+        // Standard starting position keyed by square
+        const position = {};
+        const backRank = ['R', 'N', 'B', 'Q', 'K', 'B', 'N', 'R'];
+        
+        for (let file = 0; file < 8; file++) {
+            const fileChar = String.fromCharCode(97 + file);
+            position[fileChar + '1'] = backRank[file];
+            position[fileChar + '2'] = 'P';
+            position[fileChar + '7'] = 'p';
+            position[fileChar + '8'] = backRank[file].toLowerCase();
+        }
+        
+        return position;
+    }
+
+    // Squares grouped by color and piece letter, e.g. { white: { N: ['b1', 'g1'], ... }, black: { ... } }
+    get piecePositions() {
+        const positions = { white: {}, black: {} };
+        Object.keys(this.pieceMap).forEach(piece => {
+            positions.white[piece] = [];
+            positions.black[piece] = [];
+        });
+        
+        Object.entries(this.board).forEach(([square, piece]) => {
+            positions[this.getPieceColor(piece)][piece.toUpperCase()].push(square);
+        });
+        
+        return positions;
     }
 
     parseMove(moveNotation, isWhite) {
-        // Remove check/checkmate symbols
-        let move = moveNotation.replace(/[+#]/g, '');
+        const notation = this.parseNotation(moveNotation, isWhite);
+        const color = isWhite ? 'white' : 'black';
+        
+        // Keep only the legal moves that fit everything the notation says
+        const candidates = this.generateLegalMoves(isWhite).filter(move => {
+            if (!!move.isCastling !== !!notation.isCastling) return false;
+            if (notation.isCastling) return move.isLong === notation.isLong;
+            if (move.piece !== notation.piece || move.target !== notation.target) return false;
+            
+            // Disambiguators (Nbd7, R1a3, Qh4e1) pin down the source file and/or rank
+            if (notation.fromFile && move.source[0] !== notation.fromFile) return false;
+            if (notation.fromRank && move.source[1] !== notation.fromRank) return false;
+            
+            // Pawns only leave their file when capturing
+            if (notation.piece === 'P' && !notation.isCapture && move.source[0] !== notation.target[0]) {
+                return false;
+            }
+            
+            // A pawn reaching the last rank must promote to the piece the notation names
+            return (move.promotion || null) === notation.promotion;
+        });
+        
+        if (candidates.length === 0) {
+            let description = notation.isCastling ? 'castling is not legal' :
+                `no ${this.pieceMap[notation.piece]} can legally move to ${notation.target}`;
+            
+            const lastRank = isWhite ? '8' : '1';
+            if (notation.piece === 'P' && notation.target[1] === lastRank && !notation.promotion) {
+                description = 'a pawn reaching the last rank must name its promotion piece (e.g. =Q)';
+            } else if (notation.promotion && (notation.piece !== 'P' || notation.target[1] !== lastRank)) {
+                description = 'only a pawn reaching the last rank can promote';
+            }
+            throw new Error(`Illegal move "${moveNotation}" for ${color}: ${description}`);
+        }
+        
+        if (candidates.length > 1) {
+            const sources = candidates.map(move => move.source).join(', ');
+            throw new Error(`Ambiguous move "${moveNotation}" for ${color}: ${this.pieceMap[notation.piece]}s on ${sources} can all move to ${notation.target}`);
+        }
+        
+        return candidates[0];
+    }
+
+    // Resolve a move typed by a user, in SAN (Nf3, exd5, O-O) or long algebraic notation (g1f3, Ng1-f3,
+    // e7e8q), in any letter case (nf3, o-o, e8=q). Throws an Error telling a typo apart from an illegal or
+    // ambiguous move.
+    parseTypedMove(text, isWhite) {
+        const typed = String(text || '').replace(/\s+/g, '');
+        if (!typed) {
+            throw new Error('Type a move, e.g. Nf3 or g1f3');
+        }
+
+        // Tried in this order, so that a lowercase b stays a pawn (bxc3, b8=q) whenever that move is legal:
+        // as typed, then with castling and the promotion piece capitalised, then with the piece letter too
+        const pawnSpelling = typed
+            .replace(/^[o0]-[o0]-[o0]/i, 'O-O-O')
+            .replace(/^[o0]-[o0]/i, 'O-O')
+            .replace(/([1-8]=?)([qrbn])([+#!?]*)$/, (match, square, promotion, suffix) => square + promotion.toUpperCase() + suffix);
+        const spellings = [...new Set([typed, pawnSpelling, pawnSpelling.replace(/^[kqrbn]/, letter => letter.toUpperCase())])];
+
+        let lastError;
+        for (const spelling of spellings) {
+            try {
+                return this.resolveTypedMove(spelling, isWhite);
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    // parseTypedMove for a move in the usual letter case
+    resolveTypedMove(typed, isWhite) {
+        const longMatch = typed.replace(/[+#!?]/g, '').match(/^([KQRBN])?([a-h][1-8])[-x:]?([a-h][1-8])(?:=?([QRBNqrbn]))?$/);
+        if (!longMatch) {
+            return this.parseMove(typed, isWhite);
+        }
+
+        const [, pieceLetter, source, target, promotion] = longMatch;
+        const color = isWhite ? 'white' : 'black';
+        const piece = this.board[source];
+        if (!piece || this.getPieceColor(piece) !== color) {
+            throw new Error(`Illegal move "${typed}" for ${color}: there is no ${color} piece on ${source}`);
+        }
+        if (pieceLetter && piece.toUpperCase() !== pieceLetter) {
+            throw new Error(`Illegal move "${typed}" for ${color}: the piece on ${source} is a ${this.pieceMap[piece.toUpperCase()]}`);
+        }
+
+        const promotionPiece = promotion ? promotion.toUpperCase() : null;
+        const move = this.generateLegalMoves(isWhite).find(candidate =>
+            candidate.source === source && candidate.target === target && (candidate.promotion || null) === promotionPiece);
+        if (!move) {
+            const lastRank = isWhite ? '8' : '1';
+            const description = piece.toUpperCase() === 'P' && target[1] === lastRank && !promotionPiece ?
+                'a pawn reaching the last rank must name its promotion piece (e.g. e7e8q)' :
+                `the ${this.pieceMap[piece.toUpperCase()]} on ${source} cannot legally move to ${target}`;
+            throw new Error(`Illegal move "${typed}" for ${color}: ${description}`);
+        }
+        return move;
+    }
+
+    // Read what a SAN move says without looking at the board (the source square is left unresolved)
+    parseNotation(moveNotation, isWhite) {
+        // Remove check/checkmate symbols and move annotations
+        const move = moveNotation.replace(/[+#!?]/g, '').trim();
         
         // Handle castling
         if (move === 'O-O' || move === '0-0') {
@@ -42,317 +172,698 @@ class ChessMoveParser {
             return this.parseCastling(isWhite, true);
         }
         
-        // Handle pawn moves (no piece letter)
-        if (!/[KQRBN]/.test(move[0])) {
-            return this.parsePawnMove(move, isWhite);
+        // Piece letter (none for pawns), optional source file/rank disambiguators, capture, target,
+        // and an optional promotion piece written as e8=Q or e8Q
+        const match = move.match(/^([KQRBN])?([a-h])?([1-8])?(x)?([a-h][1-8])(?:=?([QRBN]))?$/);
+        if (!match) {
+            throw new Error(`Invalid move notation "${moveNotation}"`);
         }
         
-        // Handle piece moves
-        const piece = move[0];
-        const target = move.slice(-2);
-        const source = this.findPieceSource(piece, target, isWhite, move);
+        const [, pieceLetter, fromFile, fromRank, capture, target, promotion] = match;
+        const piece = pieceLetter || 'P';
+        
+        // A pawn capture must name the file it comes from (exd5)
+        if (piece === 'P' && (capture ? !fromFile || fromRank : fromFile || fromRank)) {
+            throw new Error(`Invalid move notation "${moveNotation}"`);
+        }
         
         return {
             piece: piece,
-            source: source,
+            source: null,
             target: target,
-            isCapture: move.includes('x'),
+            isCapture: !!capture,
+            fromFile: fromFile || null,
+            fromRank: fromRank || null,
+            promotion: promotion || null,
+            isWhite: isWhite
+        };
+    }
+
+    // Castling is written as the king's two-file move (e1-g1), or in Chess960 as the king taking its own
+    // rook (b1-a1), since there the king may already stand on its destination square
+    parseCastling(isWhite, isLong) {
+        const squares = this.getCastlingSquares(isWhite, isLong);
+        return {
+            piece: 'K',
+            source: squares.kingFrom,
+            target: this.chess960 ? squares.rookFrom : squares.kingTo,
+            isCastling: true,
+            isLong: isLong,
             isWhite: isWhite
         };
     }
 
-    parsePawnMove(move, isWhite) {
-        const isCapture = move.includes('x');
-        let source, target;
+    // Where king and rook start and end when castling; in Chess960 they start from their home squares of the FEN
+    getCastlingSquares(isWhite, isLong, rookFrom = null) {
+        const rank = isWhite ? '1' : '8';
+        const homes = this.castlingSquares[isWhite ? 'white' : 'black'];
+        return {
+            kingFrom: homes.king || 'e' + rank,
+            kingTo: (isLong ? 'c' : 'g') + rank,
+            rookFrom: rookFrom || homes[isLong ? 'queenside' : 'kingside'] || (isLong ? 'a' : 'h') + rank,
+            rookTo: (isLong ? 'd' : 'f') + rank
+        };
+    }
+
+    // Legal moves for one side: pseudo-legal moves that don't leave its own king in check
+    generateLegalMoves(isWhite) {
+        return this.generatePseudoLegalMoves(isWhite).filter(move => !this.leavesKingInCheck(move));
+    }
+
+    generatePseudoLegalMoves(isWhite) {
+        const color = isWhite ? 'white' : 'black';
+        const moves = [];
         
-        if (isCapture) {
-            const parts = move.split('x');
-            const file = parts[0]; // e.g., 'c' from 'cxd5'
-            target = parts[1]; // e.g., 'd5' from 'cxd5'
-            // For captures, we need to find which pawn on the file can capture to target
-            source = this.findPawnSourceForCapture(file, target, isWhite);
-        } else {
-            target = move;
-            // For pawn moves, we need to determine source based on target and piece position
-            source = this.findPawnSource(target, isWhite);
+        Object.entries(this.board).forEach(([square, piece]) => {
+            if (this.getPieceColor(piece) !== color) return;
+            
+            const type = piece.toUpperCase();
+            if (type === 'P') {
+                this.addPawnMoves(moves, square, isWhite);
+            } else if (type === 'N') {
+                this.addStepMoves(moves, square, type, this.knightOffsets, isWhite);
+            } else if (type === 'K') {
+                this.addStepMoves(moves, square, type, this.kingOffsets, isWhite);
+                this.addCastlingMoves(moves, isWhite);
+            } else {
+                const directions = type === 'R' ? this.rookDirections :
+                    type === 'B' ? this.bishopDirections :
+                    this.rookDirections.concat(this.bishopDirections);
+                this.addSlidingMoves(moves, square, type, directions, isWhite);
+            }
+        });
+        
+        return moves;
+    }
+
+    addPawnMoves(moves, square, isWhite) {
+        const [file, rank] = this.toCoords(square);
+        const direction = isWhite ? 1 : -1;
+        const startRank = isWhite ? 1 : 6;
+        
+        const lastRank = isWhite ? 7 : 0;
+        
+        // A pawn arriving on the last rank produces one move per promotion piece
+        const addPawnMove = (target, extra = {}) => {
+            if (this.toCoords(target)[1] === lastRank) {
+                ['Q', 'R', 'B', 'N'].forEach(promotion => {
+                    moves.push(this.createMove('P', square, target, isWhite, Object.assign({ promotion: promotion }, extra)));
+                });
+            } else {
+                moves.push(this.createMove('P', square, target, isWhite, extra));
+            }
+        };
+        
+        // Forward moves never capture
+        const oneStep = this.toSquare(file, rank + direction);
+        if (oneStep && !this.board[oneStep]) {
+            addPawnMove(oneStep);
+            
+            const twoSteps = this.toSquare(file, rank + 2 * direction);
+            if (rank === startRank && !this.board[twoSteps]) {
+                moves.push(this.createMove('P', square, twoSteps, isWhite));
+            }
         }
         
-        // Check if this is an en passant capture
-        let isEnPassant = false;
-        if (isCapture) {
-            const sourceRank = parseInt(source[1]);
-            const targetRank = parseInt(target[1]);
+        // Diagonal captures, including en passant onto the square the enemy pawn skipped
+        [-1, 1].forEach(fileStep => {
+            const target = this.toSquare(file + fileStep, rank + direction);
+            if (!target) return;
+            
+            const targetPiece = this.board[target];
+            if (targetPiece && this.getPieceColor(targetPiece) !== (isWhite ? 'white' : 'black')) {
+                addPawnMove(target, { isCapture: true });
+            } else if (!targetPiece && target === this.enPassantSquare) {
+                moves.push(this.createMove('P', square, target, isWhite, {
+                    isCapture: true,
+                    isEnPassant: true,
+                    enPassantCapturedSquare: target[0] + square[1]
+                }));
+            }
+        });
+    }
+
+    addStepMoves(moves, square, type, offsets, isWhite) {
+        const [file, rank] = this.toCoords(square);
+        const color = isWhite ? 'white' : 'black';
+        
+        offsets.forEach(([fileStep, rankStep]) => {
+            const target = this.toSquare(file + fileStep, rank + rankStep);
+            if (!target) return;
+            
+            const targetPiece = this.board[target];
+            if (!targetPiece) {
+                moves.push(this.createMove(type, square, target, isWhite));
+            } else if (this.getPieceColor(targetPiece) !== color) {
+                moves.push(this.createMove(type, square, target, isWhite, { isCapture: true }));
+            }
+        });
+    }
+
+    addSlidingMoves(moves, square, type, directions, isWhite) {
+        const [file, rank] = this.toCoords(square);
+        const color = isWhite ? 'white' : 'black';
+        
+        directions.forEach(([fileStep, rankStep]) => {
+            let target = this.toSquare(file + fileStep, rank + rankStep);
+            let distance = 1;
             
-            // En passant conditions:
-            // White: pawn on rank 5 captures to rank 6
-            // Black: pawn on rank 4 captures to rank 3
-            if ((isWhite && sourceRank === 5 && targetRank === 6) ||
-                (!isWhite && sourceRank === 4 && targetRank === 3)) {
-                isEnPassant = true;
+            // Slide until the edge of the board or the first occupied square
+            while (target) {
+                const targetPiece = this.board[target];
+                if (targetPiece) {
+                    if (this.getPieceColor(targetPiece) !== color) {
+                        moves.push(this.createMove(type, square, target, isWhite, { isCapture: true }));
+                    }
+                    break;
+                }
+                
+                moves.push(this.createMove(type, square, target, isWhite));
+                distance++;
+                target = this.toSquare(file + fileStep * distance, rank + rankStep * distance);
             }
+        });
+    }
+
+    addCastlingMoves(moves, isWhite) {
+        const color = isWhite ? 'white' : 'black';
+        const opponent = isWhite ? 'black' : 'white';
+        const rank = isWhite ? '1' : '8';
+        const king = isWhite ? 'K' : 'k';
+        const rook = isWhite ? 'R' : 'r';
+        const rights = this.castlingRights[color];
+        const kingFrom = this.castlingSquares[color].king;
+        
+        if (!kingFrom || this.board[kingFrom] !== king || this.isSquareAttacked(kingFrom, opponent)) {
+            return;
         }
+        
+        // Files from a to b inclusive, on the castling rank
+        const squaresBetween = (a, b) => {
+            const [fileA] = this.toCoords(a);
+            const [fileB] = this.toCoords(b);
+            const squares = [];
+            for (let file = Math.min(fileA, fileB); file <= Math.max(fileA, fileB); file++) {
+                squares.push(this.toSquare(file, parseInt(rank) - 1));
+            }
+            return squares;
+        };
+        
+        // Every square king and rook cross or land on must be empty apart from the two of them,
+        // and the king may not cross an attacked square (checks after castling are left to leavesKingInCheck)
+        [false, true].forEach(isLong => {
+            if (!rights[isLong ? 'queenside' : 'kingside']) return;
+            
+            const squares = this.getCastlingSquares(isWhite, isLong);
+            if (this.board[squares.rookFrom] !== rook) return;
+            
+            const kingPath = squaresBetween(squares.kingFrom, squares.kingTo);
+            const path = kingPath.concat(squaresBetween(squares.rookFrom, squares.rookTo));
+            if (path.some(square => this.board[square] && square !== squares.kingFrom && square !== squares.rookFrom)) return;
+            if (kingPath.some(square => square !== squares.kingFrom && this.isSquareAttacked(square, opponent))) return;
+            
+            moves.push(Object.assign(this.parseCastling(isWhite, isLong), { isCapture: false }));
+        });
+    }
 
-        return {
-            piece: 'P',
+    createMove(piece, source, target, isWhite, extra = {}) {
+        return Object.assign({
+            piece: piece,
             source: source,
             target: target,
-            isCapture: isCapture,
-            isEnPassant: isEnPassant,
+            isCapture: false,
+            isEnPassant: false,
             isWhite: isWhite
-        };
+        }, extra);
     }
 
-    findPawnSourceForCapture(file, target, isWhite) {
-        // For captures like cxd5, find which pawn on the c-file can capture to d5
-        const targetFile = target[0];
-        const targetRank = parseInt(target[1]);
+    // Play the move on a copy of the board and check whether the mover's king is attacked afterwards
+    leavesKingInCheck(move) {
+        const board = Object.assign({}, this.board);
+        const movingPiece = board[move.source];
         
-        if (isWhite) {
-            // White pawns capture diagonally up-right or up-left
-            // For cxd5, the c-pawn moves from c4 to d5
-            // For en passant cxd6, the c-pawn moves from c5 to d6
-            const sourceRank = targetRank - 1; // d5 -> c4, d6 -> c5
-            return file + sourceRank;
+        if (move.isCastling) {
+            // Play the rook too: in Chess960 it can be the piece that was shielding the king's new square
+            const squares = this.getCastlingSquares(move.isWhite, move.isLong);
+            const rook = board[squares.rookFrom];
+            delete board[squares.kingFrom];
+            delete board[squares.rookFrom];
+            board[squares.kingTo] = movingPiece;
+            board[squares.rookTo] = rook;
         } else {
-            // Black pawns capture diagonally down-right or down-left
-            // For cxd4, the c-pawn moves from c5 to d4
-            // For en passant cxd3, the c-pawn moves from c4 to d3
-            const sourceRank = targetRank + 1; // d4 -> c5, d3 -> c4
-            return file + sourceRank;
+            delete board[move.source];
+            board[move.target] = movingPiece;
+        }
+        if (move.isEnPassant) {
+            delete board[move.enPassantCapturedSquare];
         }
+        
+        const king = move.isWhite ? 'K' : 'k';
+        const kingSquare = Object.keys(board).find(square => board[square] === king);
+        
+        return kingSquare ? this.isSquareAttacked(kingSquare, move.isWhite ? 'black' : 'white', board) : false;
+    }
+
+    isInCheck(isWhite) {
+        const king = isWhite ? 'K' : 'k';
+        const kingSquare = Object.keys(this.board).find(square => this.board[square] === king);
+        return kingSquare ? this.isSquareAttacked(kingSquare, isWhite ? 'black' : 'white') : false;
     }
 
-    findPawnSource(target, isWhite) {
-        const file = target[0];
-        const rank = parseInt(target[1]);
+    // Whether any piece of byColor attacks the square (looking outward from the square itself)
+    isSquareAttacked(square, byColor, board = this.board) {
+        const [file, rank] = this.toCoords(square);
+        const isWhiteAttacker = byColor === 'white';
+        const attacker = letter => isWhiteAttacker ? letter : letter.toLowerCase();
+        const pieceAt = (fileStep, rankStep) => {
+            const target = this.toSquare(file + fileStep, rank + rankStep);
+            return target ? board[target] : undefined;
+        };
         
-        if (isWhite) {
-            // White pawns move up the board
-            if (rank === 4) {
-                // For g4, check if pawn is on g2 (starting position) or g3
-                const square2 = document.querySelector(`[data-square="${file}2"]`);
-                const square3 = document.querySelector(`[data-square="${file}3"]`);
-                
-                if (square2 && square2.innerHTML.includes('Chess_plt45.svg.png')) {
-                    return file + '2';
-                } else if (square3 && square3.innerHTML.includes('Chess_plt45.svg.png')) {
-                    return file + '3';
-                } else {
-                    // Default to starting position if not found
-                    return file + '2';
-                }
-            } else if (rank === 3) {
-                return file + '2';
-            } else if (rank === 5) {
-                return file + '4';
-            } else if (rank === 6) {
-                return file + '5';
-            } else if (rank === 7) {
-                return file + '6';
-            }
-        } else {
-            // Black pawns move down the board
-            if (rank === 5) {
-                return file + '7';
-            } else if (rank === 4) {
-                return file + '7';
-            } else if (rank === 3) {
-                return file + '5';
-            } else if (rank === 2) {
-                return file + '4';
-            } else if (rank === 1) {
-                return file + '3';
-            }
+        // Pawns attack diagonally forward, so look one rank back towards the attacker's side
+        const pawnRankStep = isWhiteAttacker ? -1 : 1;
+        if (pieceAt(-1, pawnRankStep) === attacker('P') || pieceAt(1, pawnRankStep) === attacker('P')) {
+            return true;
         }
         
-        return file + (isWhite ? '2' : '7');
-    }
-
-    findPieceSource(piece, target, isWhite, moveNotation) {
-        // This is a simplified version - in a real implementation,
-        // you'd need to track piece positions more carefully
-        const color = isWhite ? 'white' : 'black';
-        const positions = this.piecePositions[color][piece];
-        
-        // Special case: if the piece is already on the target square, 
-        // it means the position tracking is corrupted, so use starting position
-        if (positions === target) {
-            if (piece === 'Q') {
-                return isWhite ? 'd1' : 'd8';
-            } else if (piece === 'K') {
-                return isWhite ? 'e1' : 'e8';
-            }
+        if (this.knightOffsets.some(([fileStep, rankStep]) => pieceAt(fileStep, rankStep) === attacker('N'))) {
+            return true;
         }
         
-        if (Array.isArray(positions)) {
-            // For pieces that can be on multiple squares (rooks, bishops, knights, pawns)
-            // We need to determine which one can move to the target
-            return this.findCorrectPiece(piece, target, positions, isWhite, moveNotation);
-        } else {
-            // For king and queen (usually only one)
-            return positions;
+        if (this.kingOffsets.some(([fileStep, rankStep]) => pieceAt(fileStep, rankStep) === attacker('K'))) {
+            return true;
         }
+        
+        const slidingAttack = (directions, attackers) => directions.some(([fileStep, rankStep]) => {
+            for (let distance = 1; distance < 8; distance++) {
+                const target = this.toSquare(file + fileStep * distance, rank + rankStep * distance);
+                if (!target) return false;
+                if (board[target]) return attackers.includes(board[target]);
+            }
+            return false;
+        });
+        
+        return slidingAttack(this.rookDirections, [attacker('R'), attacker('Q')]) ||
+            slidingAttack(this.bishopDirections, [attacker('B'), attacker('Q')]);
     }
 
-    findCorrectPiece(piece, target, positions, isWhite, moveNotation) {
-        // For bishops, determine which one can move to the target square
-        if (piece === 'B') {
-            // Check if any bishop can move to the target square
-            for (let pos of positions) {
-                if (this.canBishopMoveTo(pos, target, isWhite)) {
-                    return pos;
-                }
+    // Convert a square like "e4" to 0-based [file, rank] coordinates
+    toCoords(square) {
+        return [square.charCodeAt(0) - 97, parseInt(square[1], 10) - 1];
+    }
+
+    // Convert 0-based [file, rank] coordinates to a square, or null when off the board
+    toSquare(file, rank) {
+        if (file < 0 || file > 7 || rank < 0 || rank > 7) {
+            return null;
+        }
+        return String.fromCharCode(97 + file) + (rank + 1);
+    }
+
+    getPieceColor(piece) {
+        return piece === piece.toUpperCase() ? 'white' : 'black';
+    }
+
+    getPieceImage(piece, isWhite) {
+        return this.pieceImages[piece][isWhite ? 'white' : 'black'];
+    }
+
+    // promotion is the piece letter a pawn promotes to on the last rank (e.g. 'Q'), if any
+    updatePiecePosition(piece, from, to, isWhite, promotion = null) {
+        // Only update if the piece is actually moving
+        if (from === to) {
+            return;
+        }
+        
+        const movingPiece = this.board[from];
+        if (!movingPiece) {
+            // The rook of a castling move has already been moved together with its king
+            if (this.board[to] && this.board[to].toUpperCase() === piece) {
+                return;
             }
+            console.warn(`No piece on ${from} to move to ${to} in move parser`);
+            return;
         }
         
-        // For knights, determine which one can move to the target square
-        if (piece === 'N') {
-            for (let pos of positions) {
-                if (this.canKnightMoveTo(pos, target, isWhite)) {
-                    return pos;
-                }
+        const [fromFile, fromRank] = this.toCoords(from);
+        const [toFile, toRank] = this.toCoords(to);
+        const type = movingPiece.toUpperCase();
+        const castlingRookFrom = type === 'K' ? this.getCastlingRookSquare(movingPiece, from, to) : null;
+        let isCapture = !!this.board[to] && !castlingRookFrom;
+        
+        // A pawn moving diagonally onto an empty square captures en passant
+        if (type === 'P' && fromFile !== toFile && !this.board[to]) {
+            const capturedSquare = to[0] + from[1];
+            if (this.board[capturedSquare]) {
+                delete this.board[capturedSquare];
+                isCapture = true;
             }
         }
         
-        // For rooks, determine which one can move to the target square
-        if (piece === 'R') {
-            for (let pos of positions) {
-                if (this.canRookMoveTo(pos, target, isWhite)) {
-                    return pos;
-                }
+        if (castlingRookFrom) {
+            // Lift king and rook before placing them, as in Chess960 they may land on each other's squares
+            const squares = this.getCastlingSquares(this.getPieceColor(movingPiece) === 'white', toFile < fromFile, castlingRookFrom);
+            const rook = this.board[squares.rookFrom];
+            delete this.board[from];
+            delete this.board[squares.rookFrom];
+            this.board[squares.kingTo] = movingPiece;
+            if (rook) {
+                this.board[squares.rookTo] = rook;
             }
+        } else {
+            delete this.board[from];
+            this.board[to] = movingPiece;
+        }
+        
+        // A promoted pawn is tracked as its new piece from here on, so later moves by it resolve
+        if (type === 'P' && promotion) {
+            const promotedPiece = promotion.toUpperCase();
+            this.board[to] = this.getPieceColor(movingPiece) === 'white' ? promotedPiece : promotedPiece.toLowerCase();
         }
         
-        // For other pieces, use a more sophisticated approach
-        // For now, return the first available position as fallback
-        return positions[0];
+        this.updateCastlingRights(from, to);
+        
+        // A double pawn push leaves the skipped square open to en passant for one move
+        this.enPassantSquare = type === 'P' && Math.abs(toRank - fromRank) === 2 ?
+            this.toSquare(fromFile, (fromRank + toRank) / 2) : null;
+        
+        this.halfmoveClock = type === 'P' || isCapture ? 0 : this.halfmoveClock + 1;
+        if (this.getPieceColor(movingPiece) === 'black') {
+            this.fullmoveNumber++;
+        }
+        this.sideToMove = this.getPieceColor(movingPiece) === 'white' ? 'black' : 'white';
+        
+        this.positionHistory.push(this.getPositionKey());
     }
-    
-    canBishopMoveTo(from, to, isWhite) {
-        // Simple check: bishops move diagonally
-        // Convert squares to coordinates
-        const fromFile = from.charCodeAt(0) - 97; // a=0, b=1, etc.
-        const fromRank = parseInt(from[1]) - 1; // 1=0, 2=1, etc.
-        const toFile = to.charCodeAt(0) - 97;
-        const toRank = parseInt(to[1]) - 1;
+
+    // The home square of the rook a king move castles with, or null if the move is not castling.
+    // A king moving two files castles; so does, in Chess960, a king moving onto its own castling rook.
+    getCastlingRookSquare(king, from, to) {
+        const color = this.getPieceColor(king);
+        const homes = this.castlingSquares[color];
+        const rook = color === 'white' ? 'R' : 'r';
+        
+        if (this.chess960) {
+            return from === homes.king && this.board[to] === rook && (to === homes.kingside || to === homes.queenside) ? to : null;
+        }
         
-        // Check if it's a diagonal move
-        const fileDiff = Math.abs(toFile - fromFile);
-        const rankDiff = Math.abs(toRank - fromRank);
+        const [fromFile, fromRank] = this.toCoords(from);
+        const [toFile, toRank] = this.toCoords(to);
+        if (fromRank !== toRank || Math.abs(toFile - fromFile) !== 2) return null;
+        return this.getCastlingSquares(color === 'white', toFile < fromFile).rookFrom;
+    }
+
+    // Castling rights are lost once the king or a rook leaves its home square, or a rook is captured there
+    updateCastlingRights(from, to) {
+        ['white', 'black'].forEach(color => {
+            const homes = this.castlingSquares[color];
+            const rights = this.castlingRights[color];
+            [from, to].forEach(square => {
+                if (square === homes.king) {
+                    rights.kingside = false;
+                    rights.queenside = false;
+                } else if (square === homes.kingside) {
+                    rights.kingside = false;
+                } else if (square === homes.queenside) {
+                    rights.queenside = false;
+                }
+            });
+        });
+    }
+
+    removePiece(piece, square, isWhite) {
+        const color = isWhite ? 'white' : 'black';
+        const boardPiece = this.board[square];
         
-        return fileDiff === rankDiff && fileDiff > 0;
+        if (boardPiece && boardPiece.toUpperCase() === piece && this.getPieceColor(boardPiece) === color) {
+            delete this.board[square];
+            console.log(`Removed ${color} ${piece} from ${square} in move parser`);
+        } else {
+            console.warn(`Attempted to remove ${color} ${piece} from ${square}, but it is not there`);
+        }
     }
-    
-    canKnightMoveTo(from, to, isWhite) {
-        // Knights move in L-shape: 2 squares in one direction, 1 square perpendicular
-        const fromFile = from.charCodeAt(0) - 97;
-        const fromRank = parseInt(from[1]) - 1;
-        const toFile = to.charCodeAt(0) - 97;
-        const toRank = parseInt(to[1]) - 1;
+
+    // Back to the standard starting position, or to the position described by a FEN
+    resetBoard(fen = null) {
+        if (fen) {
+            this.loadFEN(fen);
+            return;
+        }
         
-        const fileDiff = Math.abs(toFile - fromFile);
-        const rankDiff = Math.abs(toRank - fromRank);
+        this.board = this.initializePiecePositions();
+        this.sideToMove = 'white';
+        this.castlingRights = {
+            white: { kingside: true, queenside: true },
+            black: { kingside: true, queenside: true }
+        };
+        this.castlingSquares = {
+            white: { king: 'e1', kingside: 'h1', queenside: 'a1' },
+            black: { king: 'e8', kingside: 'h8', queenside: 'a8' }
+        };
+        this.chess960 = false;
+        this.enPassantSquare = null;
+        this.halfmoveClock = 0;
+        this.fullmoveNumber = 1;
         
-        return (fileDiff === 2 && rankDiff === 1) || (fileDiff === 1 && rankDiff === 2);
+        // One key per position reached, for repetition detection
+        this.positionHistory = [this.getPositionKey()];
     }
-    
-    canRookMoveTo(from, to, isWhite) {
-        // Rooks move horizontally or vertically
-        const fromFile = from.charCodeAt(0) - 97;
-        const fromRank = parseInt(from[1]) - 1;
-        const toFile = to.charCodeAt(0) - 97;
-        const toRank = parseInt(to[1]) - 1;
+
+    // Load a full position from FEN. The FEN is validated completely before the board is touched,
+    // so an invalid FEN throws an Error and leaves the current position unchanged.
+    loadFEN(fen) {
+        const fields = String(fen || '').trim().split(/\s+/);
+        if (fields.length < 4 || fields.length > 6) {
+            throw new Error(`Invalid FEN "${fen}": expected 4 to 6 space-separated fields`);
+        }
+        const [placement, side, castling, enPassant, halfmove = '0', fullmove = '1'] = fields;
+        
+        const ranks = placement.split('/');
+        if (ranks.length !== 8) {
+            throw new Error(`Invalid FEN "${fen}": piece placement must have 8 ranks, found ${ranks.length}`);
+        }
+        
+        const board = {};
+        ranks.forEach((row, index) => {
+            const rank = 7 - index;
+            // Empty squares are counted with a single digit, so "44" is not a way to write "8"
+            if (/\d\d/.test(row)) {
+                throw new Error(`Invalid FEN "${fen}": rank ${rank + 1} ("${row}") has two empty-square counts in a row`);
+            }
+            let file = 0;
+            for (const char of row) {
+                if (char >= '1' && char <= '8') {
+                    file += parseInt(char);
+                } else if (this.pieceMap[char.toUpperCase()]) {
+                    if (file < 8) board[this.toSquare(file, rank)] = char;
+                    file++;
+                } else {
+                    throw new Error(`Invalid FEN "${fen}": unknown piece "${char}" on rank ${rank + 1}`);
+                }
+            }
+            if (file !== 8) {
+                throw new Error(`Invalid FEN "${fen}": rank ${rank + 1} describes ${file} squares instead of 8`);
+            }
+        });
         
-        const fileDiff = Math.abs(toFile - fromFile);
-        const rankDiff = Math.abs(toRank - fromRank);
+        ['K', 'k'].forEach(king => {
+            const count = Object.values(board).filter(piece => piece === king).length;
+            if (count !== 1) {
+                throw new Error(`Invalid FEN "${fen}": expected exactly one ${king === 'K' ? 'white' : 'black'} king, found ${count}`);
+            }
+        });
+        if (Object.entries(board).some(([square, piece]) => piece.toUpperCase() === 'P' && /[18]$/.test(square))) {
+            throw new Error(`Invalid FEN "${fen}": pawns cannot stand on the first or last rank`);
+        }
         
-        // Check if it's a valid rook move (horizontal or vertical)
-        const isValidMove = (fileDiff === 0 && rankDiff > 0) || (fileDiff > 0 && rankDiff === 0);
+        if (side !== 'w' && side !== 'b') {
+            throw new Error(`Invalid FEN "${fen}": side to move must be "w" or "b"`);
+        }
+        if (!/^(-|[KQA-H]{0,2}[kqa-h]{0,2})$/.test(castling) || castling === '' || new Set(castling).size !== castling.length) {
+            throw new Error(`Invalid FEN "${fen}": castling field must be "-", a combination of KQkq or the files of the castling rooks (Chess960)`);
+        }
+        if (!/^(-|[a-h][36])$/.test(enPassant)) {
+            throw new Error(`Invalid FEN "${fen}": en passant field must be "-" or a square on rank 3 or 6`);
+        }
+        if (!/^\d+$/.test(halfmove) || !/^[1-9]\d*$/.test(fullmove)) {
+            throw new Error(`Invalid FEN "${fen}": move counters must be non-negative integers (fullmove starts at 1)`);
+        }
         
-        if (!isValidMove) return false;
+        this.board = board;
+        this.sideToMove = side === 'w' ? 'white' : 'black';
         
-        // For horizontal moves on the same rank, prefer the rook that's closer to the target
-        if (fileDiff > 0 && rankDiff === 0) {
-            // This is a horizontal move on the same rank
-            const fromFileNum = from.charCodeAt(0) - 97;
-            const toFileNum = to.charCodeAt(0) - 97;
+        // Only keep castling rights that the king and rook placement still allow. K and Q castle with the
+        // outermost rook on that side of the king; Chess960 (Shredder-FEN/X-FEN) may name the rook's file instead.
+        this.castlingRights = {};
+        this.castlingSquares = {};
+        ['white', 'black'].forEach(color => {
+            const isWhite = color === 'white';
+            const rank = isWhite ? 0 : 7;
+            const rook = isWhite ? 'R' : 'r';
+            const kingFile = [0, 1, 2, 3, 4, 5, 6, 7].find(file => board[this.toSquare(file, rank)] === (isWhite ? 'K' : 'k'));
+            const homes = { king: kingFile === undefined ? null : this.toSquare(kingFile, rank), kingside: null, queenside: null };
             
-            // Calculate distance to target
-            const distance = Math.abs(toFileNum - fromFileNum);
+            if (homes.king) {
+                const letters = castling.split('').filter(letter => letter !== '-' && (letter === letter.toUpperCase()) === isWhite);
+                letters.forEach(letter => {
+                    const upper = letter.toUpperCase();
+                    let rookFile;
+                    if (upper === 'K') {
+                        rookFile = [7, 6, 5, 4, 3, 2, 1].find(file => file > kingFile && board[this.toSquare(file, rank)] === rook);
+                    } else if (upper === 'Q') {
+                        rookFile = [0, 1, 2, 3, 4, 5, 6].find(file => file < kingFile && board[this.toSquare(file, rank)] === rook);
+                    } else {
+                        rookFile = upper.charCodeAt(0) - 65;
+                        if (rookFile === kingFile || board[this.toSquare(rookFile, rank)] !== rook) rookFile = undefined;
+                    }
+                    if (rookFile !== undefined) {
+                        homes[rookFile > kingFile ? 'kingside' : 'queenside'] = this.toSquare(rookFile, rank);
+                    }
+                });
+            }
             
-            // For Rf1, we want the rook on h1 (file 7) to move to f1 (file 5)
-            // The rook on a1 (file 0) is further away
-            // So we prefer the rook that's closer to the target
-            return distance < 4; // h1 to f1 is distance 2, a1 to f1 is distance 5
-        }
+            this.castlingRights[color] = { kingside: !!homes.kingside, queenside: !!homes.queenside };
+            this.castlingSquares[color] = homes;
+        });
         
-        return true;
+        // Castling from anywhere but the standard king and rook squares is Chess960
+        this.chess960 = ['white', 'black'].some(color => {
+            const homes = this.castlingSquares[color];
+            return (homes.kingside || homes.queenside) && (homes.king[0] !== 'e' ||
+                (homes.kingside && homes.kingside[0] !== 'h') || (homes.queenside && homes.queenside[0] !== 'a'));
+        });
+        this.enPassantSquare = enPassant === '-' ? null : enPassant;
+        this.halfmoveClock = parseInt(halfmove);
+        this.fullmoveNumber = parseInt(fullmove);
+        
+        this.positionHistory = [this.getPositionKey()];
     }
 
-    parseCastling(isWhite, isLong) {
-        if (isWhite) {
-            return {
-                piece: 'K',
-                source: 'e1',
-                target: isLong ? 'c1' : 'g1',
-                isCastling: true,
-                isLong: isLong,
-                isWhite: true
-            };
-        } else {
-            return {
-                piece: 'K',
-                source: 'e8',
-                target: isLong ? 'c8' : 'g8',
-                isCastling: true,
-                isLong: isLong,
-                isWhite: false
-            };
-        }
+    // The current position as a full FEN string
+    toFEN() {
+        return [
+            this.getPiecePlacement(),
+            this.sideToMove[0],
+            this.getCastlingField(),
+            this.enPassantSquare || '-',
+            this.halfmoveClock,
+            this.fullmoveNumber
+        ].join(' ');
     }
 
-    getPieceImage(piece, isWhite) {
-        return this.pieceImages[piece][isWhite ? 'white' : 'black'];
+    // Castling rights in FEN form ("KQkq", "Kq", "-", ...); Chess960 names the rook files instead ("HBhb")
+    getCastlingField() {
+        const rights = this.castlingRights;
+        const letter = (color, side, standard) => {
+            if (!rights[color][side]) return '';
+            if (!this.chess960) return standard;
+            const file = this.castlingSquares[color][side][0];
+            return color === 'white' ? file.toUpperCase() : file;
+        };
+        const castling = letter('white', 'kingside', 'K') + letter('white', 'queenside', 'Q') +
+            letter('black', 'kingside', 'k') + letter('black', 'queenside', 'q');
+        return castling || '-';
     }
 
-    updatePiecePosition(piece, from, to, isWhite) {
-        const color = isWhite ? 'white' : 'black';
-        const positions = this.piecePositions[color][piece];
-        
-        // Only update if the piece is actually moving
-        if (from === to) {
-            return;
+    // Piece placement in FEN form, rank 8 first (e.g. "rnbqkbnr/pppppppp/8/...")
+    getPiecePlacement() {
+        const ranks = [];
+        for (let rank = 7; rank >= 0; rank--) {
+            let row = '';
+            let emptySquares = 0;
+            for (let file = 0; file < 8; file++) {
+                const piece = this.board[this.toSquare(file, rank)];
+                if (piece) {
+                    row += (emptySquares || '') + piece;
+                    emptySquares = 0;
+                } else {
+                    emptySquares++;
+                }
+            }
+            ranks.push(row + (emptySquares || ''));
         }
-        
-        if (Array.isArray(positions)) {
-            const index = positions.indexOf(from);
-            if (index !== -1) {
-                positions[index] = to;
+        return ranks.join('/');
+    }
+
+    // Identifies a position for repetition: placement, side to move, castling rights and a usable en passant square
+    getPositionKey() {
+        // The en passant square only makes a position different if a pawn can actually capture there
+        let enPassant = '-';
+        if (this.enPassantSquare) {
+            const [file, rank] = this.toCoords(this.enPassantSquare);
+            const isWhiteToMove = this.sideToMove === 'white';
+            const capturingPawn = isWhiteToMove ? 'P' : 'p';
+            const pawnRank = isWhiteToMove ? rank - 1 : rank + 1;
+            if ([file - 1, file + 1].some(pawnFile => this.board[this.toSquare(pawnFile, pawnRank)] === capturingPawn)) {
+                enPassant = this.enPassantSquare;
             }
-        } else {
-            this.piecePositions[color][piece] = to;
         }
+        
+        return [this.getPiecePlacement(), this.sideToMove[0], this.getCastlingField(), enPassant].join(' ');
     }
 
-    removePiece(piece, square, isWhite) {
-        const color = isWhite ? 'white' : 'black';
-        const positions = this.piecePositions[color][piece];
+    // The current position has now occurred at least three times
+    isThreefoldRepetition() {
+        const currentKey = this.positionHistory[this.positionHistory.length - 1];
+        return this.positionHistory.filter(key => key === currentKey).length >= 3;
+    }
+
+    // Fifty moves by each side without a pawn move or a capture
+    isFiftyMoveRule() {
+        return this.halfmoveClock >= 100;
+    }
+
+    // Neither side can possibly mate: bare kings, a single minor piece, or only bishops all on one square color
+    hasInsufficientMaterial() {
+        const pieces = Object.entries(this.board).filter(([, piece]) => piece.toUpperCase() !== 'K');
         
-        if (Array.isArray(positions)) {
-            const index = positions.indexOf(square);
-            if (index !== -1) {
-                positions.splice(index, 1);
-                console.log(`Removed ${color} ${piece} from ${square} in move parser`);
-            }
-        } else if (positions === square) {
-            // If it's a single piece (like king/queen), we can't really remove it
-            // This shouldn't happen for en passant (only pawns)
-            console.warn(`Attempted to remove single piece ${piece} from ${square}`);
+        if (pieces.some(([, piece]) => ['P', 'R', 'Q'].includes(piece.toUpperCase()))) {
+            return false;
+        }
+        if (pieces.length <= 1) {
+            return true;
         }
+        
+        const bishopSquareColors = pieces.map(([square, piece]) => {
+            if (piece.toUpperCase() !== 'B') return null;
+            const [file, rank] = this.toCoords(square);
+            return (file + rank) % 2;
+        });
+        return !bishopSquareColors.includes(null) && new Set(bishopSquareColors).size === 1;
+    }
+
+    // Why the current position is a draw, or null: 'threefold repetition', '50-move rule' or 'insufficient material'
+    getDrawReason() {
+        if (this.hasInsufficientMaterial()) return 'insufficient material';
+        if (this.isThreefoldRepetition()) return 'threefold repetition';
+        if (this.isFiftyMoveRule()) return '50-move rule';
+        return null;
     }
 
-    resetBoard() {
-        this.piecePositions = this.initializePiecePositions();
+    // FEN of Chess960 starting position number 0-959 (Scharnagl numbering; 518 is the standard position)
+    static chess960FEN(number) {
+        if (!Number.isInteger(number) || number < 0 || number > 959) {
+            throw new Error(`Chess960 position number must be 0-959, got ${number}`);
+        }
+
+        const backRank = new Array(8).fill(null);
+        const emptyFiles = () => backRank.map((piece, file) => piece ? null : file).filter(file => file !== null);
+        const knightPlacements = [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2], [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]];
+
+        let rest = number;
+        backRank[[1, 3, 5, 7][rest % 4]] = 'B';
+        rest = Math.floor(rest / 4);
+        backRank[[0, 2, 4, 6][rest % 4]] = 'B';
+        rest = Math.floor(rest / 4);
+        backRank[emptyFiles()[rest % 6]] = 'Q';
+        rest = Math.floor(rest / 6);
+        const knightFiles = emptyFiles();
+        knightPlacements[rest].forEach(index => { backRank[knightFiles[index]] = 'N'; });
+        // The king always stands between the two rooks
+        emptyFiles().forEach((file, index) => { backRank[file] = 'RKR'[index]; });
+
+        const white = backRank.join('');
+        return `${white.toLowerCase()}/pppppppp/8/8/8/8/PPPPPPPP/${white} w KQkq - 0 1`;
     }
 }
 
@@ -0,0 +1,46 @@
+-- Append entries to one of the JSONB history columns of user_progress
+-- (challenge_runs, checkpoint_results, drill_results) in a single UPDATE.
+-- The row lock taken by the UPDATE serialises concurrent appends (two open tabs,
+-- a run recorded twice), so no append can overwrite another one.
+-- Only the last max_entries entries are kept, so the history cannot grow without limit.
+-- Nothing is written for a user without a progress row: the row is created by the
+-- regular progress save, never as a bare row holding one history column.
+-- Returns true if the entries were appended.
+--
+-- Called from supabase-helpers.js:
+--   supabase.rpc('append_progress_entries', { column_name: 'drill_results', new_entries: [...], max_entries: 1000 })
+
+CREATE OR REPLACE FUNCTION append_progress_entries(column_name TEXT, new_entries JSONB, max_entries INTEGER DEFAULT 1000)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+    updated_rows INTEGER;
+BEGIN
+    IF column_name NOT IN ('challenge_runs', 'checkpoint_results', 'drill_results') THEN
+        RAISE EXCEPTION 'append_progress_entries: % is not a progress history column', column_name;
+    END IF;
+    IF jsonb_typeof(new_entries) IS DISTINCT FROM 'array' THEN
+        RAISE EXCEPTION 'append_progress_entries: new_entries must be a JSON array';
+    END IF;
+
+    EXECUTE format(
+        'UPDATE user_progress
+            SET %1$I = (
+                SELECT COALESCE(jsonb_agg(entries.entry ORDER BY entries.position), ''[]''::jsonb)
+                  FROM jsonb_array_elements(COALESCE(%1$I, ''[]''::jsonb) || $1) WITH ORDINALITY AS entries(entry, position)
+                 WHERE entries.position > jsonb_array_length(COALESCE(%1$I, ''[]''::jsonb) || $1) - $2
+            )
+          WHERE user_id = auth.uid()',
+        column_name)
+    USING new_entries, max_entries;
+
+    GET DIAGNOSTICS updated_rows = ROW_COUNT;
+    RETURN updated_rows > 0;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION append_progress_entries(TEXT, JSONB, INTEGER) TO authenticated;
+
+COMMENT ON FUNCTION append_progress_entries(TEXT, JSONB, INTEGER) IS 'Atomically append entries to challenge_runs, checkpoint_results or drill_results of the signed-in user, keeping the last max_entries';
@@ -6,6 +6,13 @@ let currentTurn = 'white'; // 'white' or 'black'
 let customGameMoves = [];
 let customGamePosition = {};
 let customMoveIndex = 0; // Track current position in custom game moves
+let customDrawOffered = null; // Draw reason already offered to the user, so it is only asked once
+let customGameDate = null; // Date of a game imported from PGN (defaults to today when saving)
+let customLineStack = []; // Parent lines of the sideline being recorded: { moves, branchIndex, variationIndex }
+let customStartFEN = null; // Starting position of a Chess960 or set-up game (null = standard starting position)
+let reconstructionTest = null; // Position reconstruction test: { phase: 'replay' | 'rebuild' | 'review', moveCount, target, placed, selectedPiece, timer, previousVisualMode }
+let reconstructionListenersAdded = false;
+let engineGame = null; // Blindfold game against the computer: { engine, userColor, blindfold, peeks, thinking, timer, over }
 
 // Helper: parse algebraic square like "e5" -> {file: 'e', rank: 5}
 function parseSquare(sq) {
@@ -32,83 +39,29 @@ function coordsToSquare(coords) {
     return fileChar + rankNum;
 }
 
-// Simplified en passant detection function
-function checkEnPassantAvailable(pawnPos, targetPos, lastMoveFrom, lastMoveTo, lastMovePiece, lastMoveColor, currentColor) {
-    console.log('=== CHECKING EN PASSANT ===');
-    console.log('Pawn pos:', pawnPos);
-    console.log('Target pos:', targetPos);
-    console.log('Last move from:', lastMoveFrom);
-    console.log('Last move to:', lastMoveTo);
-    console.log('Last move piece:', lastMovePiece);
-    console.log('Last move color:', lastMoveColor);
-    console.log('Current color:', currentColor);
-    
-    // Check if last move was a double pawn move (2 squares)
-    const lastMoveRankDiff = Math.abs(lastMoveTo[0] - lastMoveFrom[0]);
-    const lastMoveFileDiff = Math.abs(lastMoveTo[1] - lastMoveFrom[1]);
-    
-    console.log('Last move rank diff:', lastMoveRankDiff, 'file diff:', lastMoveFileDiff);
-    
-    if (!lastMovePiece || lastMovePiece.toLowerCase() !== 'p' || lastMoveRankDiff !== 2 || lastMoveFileDiff !== 0) {
-        console.log('FAIL: Last move was not a double pawn move');
-        return { isEnPassantAvailable: false };
-    }
-    
-    // Check if current move is diagonal (en passant capture)
-    const currentMoveRankDiff = Math.abs(targetPos[0] - pawnPos[0]);
-    const currentMoveFileDiff = Math.abs(targetPos[1] - pawnPos[1]);
-    
-    console.log('Current move rank diff:', currentMoveRankDiff, 'file diff:', currentMoveFileDiff);
-    
-    if (currentMoveRankDiff !== 1 || currentMoveFileDiff !== 1) {
-        console.log('FAIL: Current move is not diagonal');
-        return { isEnPassantAvailable: false };
-    }
-    
-    // Check if the capturing pawn is on the same rank as the opponent's pawn after the double move
-    const [pawnRank, pawnFile] = pawnPos;
-    const [lastMoveToRank, lastMoveToFile] = lastMoveTo;
-    
-    console.log('Pawn rank:', pawnRank, 'file:', pawnFile);
-    console.log('Last move to rank:', lastMoveToRank, 'file:', lastMoveToFile);
-    console.log('Same rank?', lastMoveToRank === pawnRank);
-    console.log('File diff:', Math.abs(lastMoveToFile - pawnFile));
-    
-    if (lastMoveToRank !== pawnRank || Math.abs(lastMoveToFile - pawnFile) !== 1) {
-        console.log('FAIL: Capturing pawn not adjacent to opponent pawn');
-        return { isEnPassantAvailable: false };
-    }
-    
-    // Check if the target square is the "passed-through" square
-    const passedThroughRank = (lastMoveFrom[0] + lastMoveTo[0]) / 2;
-    const passedThroughFile = lastMoveTo[1];
-    
-    console.log('Target rank:', targetPos[0], 'file:', targetPos[1]);
-    console.log('Passed through rank:', passedThroughRank, 'file:', passedThroughFile);
-    console.log('Target matches passed through?', targetPos[0] === passedThroughRank && targetPos[1] === passedThroughFile);
-    
-    if (targetPos[0] !== passedThroughRank || targetPos[1] !== passedThroughFile) {
-        console.log('FAIL: Not moving to passed-through square');
-        return { isEnPassantAvailable: false };
-    }
-    
-    // All conditions met - en passant is available
-    console.log('SUCCESS: En passant conditions met!');
-    return {
-        isEnPassantAvailable: true,
-        captured: lastMoveTo // The square containing the pawn to be removed
-    };
-}
-
 // Function to initialize custom game mode
 function initializeCustomGameMode() {
     console.log('Initializing custom game mode...');
     
+    // Recording a game ends any position reconstruction test or game against the computer
+    stopReconstructionTest();
+    stopEngineGame();
+    
+    // Games are recorded on the board, so it comes back from the board-less Notation mode
+    if (currentVisualMode === 'notation') {
+        switchVisualMode('normal');
+    }
+    
     customGameMode = true;
     window.customGameMode = true;
     currentTurn = 'white';
     customGameMoves = [];
     customMoveIndex = 0;
+    customDrawOffered = null;
+    customGameDate = null;
+    customLineStack = [];
+    customStartFEN = null;
+    setCustomGameResult('In progress');
     
     // Clear any existing game selection and highlight the Add Game button
     document.querySelectorAll('.submenu-button').forEach(btn => {
@@ -168,6 +121,12 @@ function initializeCustomGameMode() {
     if (deleteGameSection) {
         deleteGameSection.style.display = 'none';
     }
+    
+    // Hide the PGN download - there is no saved game to download yet
+    const downloadPgnSection = document.getElementById('download-pgn-section');
+    if (downloadPgnSection) {
+        downloadPgnSection.style.display = 'none';
+    }
 }
 
 // Function to set up the custom game board with all pieces
@@ -214,8 +173,20 @@ function clearBoard() {
     }
 }
 
-// Function to get the initial chess position (starting position)
+// Function to get the initial chess position (the custom start position if one was chosen)
 function getInitialPosition() {
+    if (customStartFEN) {
+        const board = new ChessMoveParser(customStartFEN).board;
+        const position = {};
+        for (let rank = 8; rank >= 1; rank--) {
+            for (let file = 0; file < 8; file++) {
+                const square = String.fromCharCode(97 + file) + rank;
+                position[square] = board[square] || '';
+            }
+        }
+        return position;
+    }
+    
     return {
         'a8': 'r', 'b8': 'n', 'c8': 'b', 'd8': 'q', 'e8': 'k', 'f8': 'b', 'g8': 'n', 'h8': 'r',
         'a7': 'p', 'b7': 'p', 'c7': 'p', 'd7': 'p', 'e7': 'p', 'f7': 'p', 'g7': 'p', 'h7': 'p',
@@ -297,6 +268,9 @@ function handleCustomPieceClick(e) {
     const pieceType = piece.dataset.piece;
     const square = piece.dataset.square;
     
+    // Against the computer only the user's own pieces move, on the user's turn
+    if (!canMoveInEngineGame()) return;
+    
     // Check if it's the correct turn
     const isWhitePiece = pieceType === pieceType.toUpperCase();
     const isBlackPiece = pieceType === pieceType.toLowerCase();
@@ -377,8 +351,95 @@ function getValidMovesForPiece(fromSquare, pieceType) {
     return validMoves;
 }
 
-// Function to check if a move is valid
+// Function to check if a move is valid (piece movement rules, and the mover's king is not left in check)
 function isValidMove(fromSquare, toSquare, pieceType) {
+    if (getCastlingMove(fromSquare, toSquare, pieceType)) {
+        return true;
+    }
+    return isValidPieceMovement(fromSquare, toSquare, pieceType) &&
+        !moveLeavesKingInCheck(fromSquare, toSquare, pieceType);
+}
+
+// Function to get the legal castling move of a king going from fromSquare to toSquare, or null
+// (two files to the side, or in Chess960 onto its own rook)
+function getCastlingMove(fromSquare, toSquare, pieceType) {
+    if (pieceType.toLowerCase() !== 'k') return null;
+    
+    const parser = getCustomGameParser();
+    return parser.generateLegalMoves(pieceType === 'K').find(move =>
+        move.isCastling && move.source === fromSquare && move.target === toSquare
+    ) || null;
+}
+
+// Function to build a move parser holding the custom game position after the first moveCount moves
+function getCustomGameParser(moveCount = customMoveIndex) {
+    const parser = new ChessMoveParser(customStartFEN);
+    customGameMoves.slice(0, moveCount).forEach(move => {
+        parser.updatePiecePosition(move.piece.toUpperCase(), move.from, move.to, move.turn === 'white', move.promotion);
+    });
+    return parser;
+}
+
+// Function to check whether a move would leave the moving side's own king in check
+function moveLeavesKingInCheck(fromSquare, toSquare, pieceType) {
+    const parser = getCustomGameParser();
+    const isWhitePiece = pieceType === pieceType.toUpperCase();
+    const isEnPassant = pieceType.toLowerCase() === 'p' && fromSquare[0] !== toSquare[0] && !parser.board[toSquare];
+    
+    return parser.leavesKingInCheck(parser.createMove(pieceType.toUpperCase(), fromSquare, toSquare, isWhitePiece, {
+        isEnPassant: isEnPassant,
+        enPassantCapturedSquare: isEnPassant ? toSquare[0] + fromSquare[1] : null
+    }));
+}
+
+// Function to get the status of the side to move after the last recorded move
+// Returns 'checkmate', 'stalemate', 'check' or null
+function getCustomGameStatus() {
+    const parser = getCustomGameParser(customGameMoves.length);
+    const isWhiteToMove = parser.sideToMove === 'white';
+    const inCheck = parser.isInCheck(isWhiteToMove);
+    const hasLegalMoves = parser.generateLegalMoves(isWhiteToMove).length > 0;
+    
+    if (!hasLegalMoves) {
+        return inCheck ? 'checkmate' : 'stalemate';
+    }
+    return inCheck ? 'check' : null;
+}
+
+// Function to offer closing the custom game as a draw (repetition, 50-move rule, insufficient material)
+function offerCustomGameDraw() {
+    const parser = getCustomGameParser(customGameMoves.length);
+    const drawReason = parser.getDrawReason();
+    
+    if (!drawReason || drawReason === customDrawOffered) return;
+    customDrawOffered = drawReason;
+    
+    // The computer always claims the draw
+    if (engineGame) {
+        setCustomGameResult('1/2-1/2');
+        console.log(`Game drawn by ${drawReason}`);
+        return;
+    }
+    
+    // Let the board finish updating before asking
+    setTimeout(() => {
+        if (confirm(`Draw by ${drawReason}. Close the game as a draw (1/2-1/2)?`)) {
+            setCustomGameResult('1/2-1/2');
+            console.log(`Game closed as a draw by ${drawReason}`);
+        }
+    }, 100);
+}
+
+// Function to set the result field of the custom game
+function setCustomGameResult(result) {
+    const resultInput = document.getElementById('custom-detail-result');
+    if (resultInput) {
+        resultInput.value = result;
+    }
+}
+
+// Function to check piece movement rules (geometry, blocked paths, captures) for a move
+function isValidPieceMovement(fromSquare, toSquare, pieceType) {
     const currentPosition = getCurrentCustomPosition();
     const targetPiece = currentPosition[toSquare];
     
@@ -419,61 +480,9 @@ function isValidMove(fromSquare, toSquare, pieceType) {
             return true;
         }
         
-        // Check for en passant capture (diagonal move to empty square)
-        if (fileDiff === 1 && toRank === fromRank + direction && !targetPiece && customGameMoves.length > 0) {
-            console.log('=== CHECKING EN PASSANT IN isValidMove ===');
-            console.log('From:', fromSquare, 'To:', toSquare);
-            console.log('Current turn:', currentTurn);
-            
-            const lastMove = customGameMoves[customGameMoves.length - 1];
-            console.log('Last move:', lastMove);
-            
-            // Convert to coordinates
-            const fromCoords = squareToCoords(fromSquare);
-            const toCoords = squareToCoords(toSquare);
-            const lastMoveFrom = squareToCoords(lastMove.from);
-            const lastMoveTo = squareToCoords(lastMove.to);
-            
-            console.log('From coords:', fromCoords, 'To coords:', toCoords);
-            console.log('Last move from:', lastMoveFrom, 'Last move to:', lastMoveTo);
-            
-            // Check if last move was a double pawn move
-            const lastMoveRankDiff = Math.abs(lastMoveTo[0] - lastMoveFrom[0]);
-            const lastMoveFileDiff = Math.abs(lastMoveTo[1] - lastMoveFrom[1]);
-            
-            console.log('Last move rank diff:', lastMoveRankDiff, 'file diff:', lastMoveFileDiff);
-            
-            if (lastMove.piece && lastMove.piece.toLowerCase() === 'p' && lastMoveRankDiff === 2 && lastMoveFileDiff === 0) {
-                console.log('Last move was a double pawn move!');
-                
-                // Check if the capturing pawn is on the same rank as the opponent's pawn after the double move
-                const [pawnRank, pawnFile] = fromCoords;
-                const [lastMoveToRank, lastMoveToFile] = lastMoveTo;
-                
-                console.log('Pawn rank:', pawnRank, 'file:', pawnFile);
-                console.log('Last move to rank:', lastMoveToRank, 'file:', lastMoveToFile);
-                console.log('Same rank?', lastMoveToRank === pawnRank);
-                console.log('File diff:', Math.abs(lastMoveToFile - pawnFile));
-                
-                if (lastMoveToRank === pawnRank && Math.abs(lastMoveToFile - pawnFile) === 1) {
-                    console.log('Capturing pawn is adjacent to opponent pawn!');
-                    
-                    // Check if the target square is the "passed-through" square
-                    const passedThroughRank = (lastMoveFrom[0] + lastMoveTo[0]) / 2;
-                    const passedThroughFile = lastMoveTo[1];
-                    
-                    console.log('Target rank:', toCoords[0], 'file:', toCoords[1]);
-                    console.log('Passed through rank:', passedThroughRank, 'file:', passedThroughFile);
-                    console.log('Target matches passed through?', toCoords[0] === passedThroughRank && toCoords[1] === passedThroughFile);
-                    
-                    if (toCoords[0] === passedThroughRank && toCoords[1] === passedThroughFile) {
-                        console.log('✅ EN PASSANT IS VALID!');
-                        return true;
-                    }
-                }
-            }
-            
-            console.log('En passant not valid');
+        // En passant: a diagonal move to the empty square a pawn has just skipped, in the position shown
+        if (fileDiff === 1 && toRank === fromRank + direction && !targetPiece) {
+            return getCustomGameParser().enPassantSquare === toSquare;
         }
         
         return false;
@@ -533,7 +542,8 @@ function isPathClear(fromSquare, toSquare, position) {
 }
 
 // Function to make a move in custom game
-function makeCustomMove(fromSquare, toSquare, pieceType) {
+// promotion is the piece letter ('Q', 'R', 'B' or 'N') a pawn reaching the last rank becomes
+function makeCustomMove(fromSquare, toSquare, pieceType, promotion = null) {
     console.log(`Making move: ${pieceType} from ${fromSquare} to ${toSquare}`);
     
     // Get the source and destination squares
@@ -552,81 +562,78 @@ function makeCustomMove(fromSquare, toSquare, pieceType) {
         return;
     }
     
+    // A pawn reaching the last rank must promote - ask for the piece first, then make the move
+    const isPromotion = pieceType.toLowerCase() === 'p' && (toSquare[1] === '8' || toSquare[1] === '1');
+    if (isPromotion && !promotion) {
+        showPromotionChoice(pieceType === 'P', choice => makeCustomMove(fromSquare, toSquare, pieceType, choice));
+        return;
+    }
+    const promotedPiece = isPromotion ? (pieceType === 'P' ? promotion : promotion.toLowerCase()) : null;
+    
+    // A move made from an earlier position starts a sideline or replaces the moves after it, as the user chooses
+    if (customMoveIndex < customGameMoves.length) {
+        const branchChoice = askCustomBranchChoice();
+        if (!branchChoice) {
+            console.log('Move cancelled, the moves after this position are kept');
+            return;
+        }
+        if (branchChoice === 'replace') {
+            replaceCustomMovesFromHere();
+        } else {
+            startCustomSideline();
+        }
+    }
+    
+    // Castling is recorded from the parser, as in Chess960 the king may be dropped onto its own rook
+    const castlingMove = getCastlingMove(fromSquare, toSquare, pieceType);
+    
+    // The move number comes from the position, so games from a set-up position with Black to move count right
+    const moveNumber = getCustomGameParser(customGameMoves.length).fullmoveNumber;
+    
     // Check if this is a capture (before moving the piece)
-    const destinationPiece = toSquareElement.querySelector('.piece');
+    const destinationPiece = castlingMove ? null : toSquareElement.querySelector('.piece');
     const isCapture = destinationPiece !== null;
     
-    // Check for en passant capture using proper chess rules
+    // Work out the SAN disambiguator while the board still shows the position before the move
+    const disambiguator = getMoveDisambiguator(fromSquare, toSquare, pieceType);
+    
+    // En passant: a pawn moving diagonally to the empty square the parser holds as the en passant target
+    // (made from the position shown, which is the end of the line once any sideline has started)
     let isEnPassant = false;
     let enPassantCapturedSquare = null;
-
-    console.log('=== EN PASSANT DEBUG ===');
-    console.log('Piece type:', pieceType);
-    console.log('Is capture:', isCapture);
-    console.log('Custom game moves length:', customGameMoves.length);
-    console.log('Current turn:', currentTurn);
-
-    if (pieceType.toLowerCase() === 'p' && !isCapture && customGameMoves.length > 0) {
-        const lastMove = customGameMoves[customGameMoves.length - 1];
-        console.log('Last move:', lastMove);
-        
-        // Convert algebraic notation to 0-based coordinates
-        const fromCoords = squareToCoords(fromSquare);
-        const toCoords = squareToCoords(toSquare);
-        const lastMoveFrom = squareToCoords(lastMove.from);
-        const lastMoveTo = squareToCoords(lastMove.to);
-        
-        console.log('From coords:', fromCoords, 'To coords:', toCoords);
-        console.log('Last move from:', lastMoveFrom, 'Last move to:', lastMoveTo);
-        
-        // Only check for en passant if the current move is diagonal (potential en passant capture)
-        const currentMoveRankDiff = Math.abs(toCoords[0] - fromCoords[0]);
-        const currentMoveFileDiff = Math.abs(toCoords[1] - fromCoords[1]);
-        
-        console.log('Current move rank diff:', currentMoveRankDiff, 'file diff:', currentMoveFileDiff);
-        
-        if (currentMoveRankDiff === 1 && currentMoveFileDiff === 1) {
-            console.log('Diagonal move detected - checking for en passant');
-            
-            // Check if en passant is available
-            const enPassantResult = checkEnPassantAvailable(
-                fromCoords, 
-                toCoords, 
-                lastMoveFrom, 
-                lastMoveTo, 
-                lastMove.piece, 
-                lastMove.turn, 
-                currentTurn
-            );
-            
-            console.log('En passant result:', enPassantResult);
-            
-            if (enPassantResult.isEnPassantAvailable) {
-                isEnPassant = true;
-                enPassantCapturedSquare = coordsToSquare(enPassantResult.captured);
-                console.log('En passant detected! Capturing pawn on', enPassantCapturedSquare);
-            }
-        } else {
-            console.log('Not a diagonal move - skipping en passant check');
-        }
-    } else {
-        console.log('En passant check skipped - not a pawn move or no previous moves');
+    if (pieceType.toLowerCase() === 'p' && !isCapture && fromSquare[0] !== toSquare[0] &&
+        getCustomGameParser().enPassantSquare === toSquare) {
+        isEnPassant = true;
+        enPassantCapturedSquare = toSquare[0] + fromSquare[1];
+        console.log('En passant! Capturing pawn on', enPassantCapturedSquare);
     }
     
     // Move the piece visually
     console.log('Moving piece from', fromSquare, 'to', toSquare);
     
-    // Clear the destination square first
-    toSquareElement.innerHTML = '';
-    
-    // Move the piece to the new square
-    toSquareElement.appendChild(pieceElement);
-    
-    // Update the piece's data attributes
-    pieceElement.dataset.square = toSquare;
-    
-    // Clear the source square
-    fromSquareElement.innerHTML = '';
+    if (castlingMove) {
+        // Lift king and rook before placing them, as in Chess960 they may land on each other's squares
+        const castlingSquares = getCustomGameParser().getCastlingSquares(castlingMove.isWhite, castlingMove.isLong);
+        [castlingSquares.kingFrom, castlingSquares.rookFrom].forEach(square => {
+            document.querySelector(`[data-square="${square}"]`).innerHTML = '';
+        });
+        placePieceOnSquare(castlingSquares.kingTo, pieceType);
+        placePieceOnSquare(castlingSquares.rookTo, castlingMove.isWhite ? 'R' : 'r');
+        addCustomGameEventListeners();
+        console.log('Castling: king to', castlingSquares.kingTo, 'and rook to', castlingSquares.rookTo);
+    } else {
+        // Clear the destination square first
+        toSquareElement.innerHTML = '';
+        
+        // Move the piece to the new square
+        toSquareElement.appendChild(pieceElement);
+        
+        // Update the piece's data attributes
+        pieceElement.dataset.square = toSquare;
+        
+        // Clear the source square
+        fromSquareElement.innerHTML = '';
+    }
     
     // Handle en passant capture
     if (isEnPassant && enPassantCapturedSquare) {
@@ -637,15 +644,22 @@ function makeCustomMove(fromSquare, toSquare, pieceType) {
         }
     }
     
-    console.log('Piece moved successfully');
+    // Replace the pawn with the piece it promotes to
+    if (promotedPiece) {
+        toSquareElement.innerHTML = '';
+        placePieceOnSquare(toSquare, promotedPiece);
+        addCustomGameEventListeners();
+        console.log('Promotion: Pawn on', toSquare, 'became', promotedPiece);
+    }
     
-    // Record the move
-    const moveNumber = Math.floor(customGameMoves.length / 2) + 1;
+    console.log('Piece moved successfully');
     
     // Create proper chess notation
     let moveNotation;
     
-    if (pieceType.toLowerCase() === 'p') {
+    if (castlingMove) {
+        moveNotation = castlingMove.isLong ? 'O-O-O' : 'O-O';
+    } else if (pieceType.toLowerCase() === 'p') {
         // For pawns
         if (isCapture) {
             // Capture notation: e.g., exd5 (pawn from e4 captures on d5)
@@ -657,13 +671,18 @@ function makeCustomMove(fromSquare, toSquare, pieceType) {
             // Regular pawn move: just destination square
             moveNotation = toSquare;
         }
+        
+        // Promotion suffix: e.g., e8=Q, exd1=N
+        if (promotedPiece) {
+            moveNotation += `=${promotion}`;
+        }
     } else {
-        // For other pieces
+        // For other pieces, e.g. Nf3, Nbd7, R1xa3
         const pieceLetter = pieceType.toUpperCase();
         if (isCapture) {
-            moveNotation = `${pieceLetter}x${toSquare}`;
+            moveNotation = `${pieceLetter}${disambiguator}x${toSquare}`;
         } else {
-            moveNotation = `${pieceLetter}${toSquare}`;
+            moveNotation = `${pieceLetter}${disambiguator}${toSquare}`;
         }
     }
     
@@ -680,12 +699,28 @@ function makeCustomMove(fromSquare, toSquare, pieceType) {
                       (isEnPassant ? 'p' : null),
         isEnPassant: isEnPassant,
         enPassantCapturedSquare: enPassantCapturedSquare,
+        promotion: promotedPiece,
         commentary: '' // Initialize empty commentary
     };
     
     customGameMoves.push(moveData);
     customMoveIndex = customGameMoves.length; // Move to the end after making a move
     
+    // Mark check and checkmate in the notation, and close the game on mate or stalemate
+    const gameStatus = getCustomGameStatus();
+    if (gameStatus === 'checkmate') {
+        moveData.notation += '#';
+        setCustomGameResult(currentTurn === 'white' ? '1-0' : '0-1');
+        console.log(`Checkmate! ${currentTurn} wins`);
+    } else if (gameStatus === 'check') {
+        moveData.notation += '+';
+    } else if (gameStatus === 'stalemate') {
+        setCustomGameResult('1/2-1/2');
+        console.log('Stalemate - the game is drawn');
+    } else {
+        offerCustomGameDraw();
+    }
+    
     // Update the moves display
     updateCustomMovesDisplay();
     
@@ -725,6 +760,188 @@ function makeCustomMove(fromSquare, toSquare, pieceType) {
     currentTurn = currentTurn === 'white' ? 'black' : 'white';
     
     console.log(`Move recorded. Next turn: ${currentTurn}`);
+    
+    // In a game against the computer, it is now the computer's move (or the game is over)
+    continueEngineGame();
+}
+
+// Function to let the user pick the piece a pawn promotes to
+function showPromotionChoice(isWhite, onChoose) {
+    // Remove any picker left over from an earlier move
+    const existingPicker = document.getElementById('custom-promotion-picker');
+    if (existingPicker) {
+        existingPicker.remove();
+    }
+    
+    const overlay = document.createElement('div');
+    overlay.id = 'custom-promotion-picker';
+    overlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.4);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 10000;
+    `;
+    
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+        background: #fff;
+        border-radius: 8px;
+        padding: 15px 20px;
+        text-align: center;
+        box-shadow: 0 4px 15px rgba(0, 0, 0, 0.2);
+    `;
+    
+    const title = document.createElement('div');
+    title.textContent = 'Promote pawn to:';
+    title.style.cssText = 'font-size: 14px; font-weight: 600; color: #34495e; margin-bottom: 10px;';
+    dialog.appendChild(title);
+    
+    const pieceNames = { 'Q': 'Queen', 'R': 'Rook', 'B': 'Bishop', 'N': 'Knight' };
+    Object.keys(pieceNames).forEach(letter => {
+        const option = document.createElement('button');
+        option.title = pieceNames[letter];
+        option.style.cssText = `
+            width: 60px;
+            height: 60px;
+            margin: 0 4px;
+            border: 1px solid #dee2e6;
+            border-radius: 6px;
+            background-color: #f8f9fa;
+            background-image: url('pieces/Chess_${letter.toLowerCase()}${isWhite ? 'lt' : 'dt'}45.svg.png');
+            background-size: contain;
+            background-repeat: no-repeat;
+            background-position: center;
+            cursor: pointer;
+        `;
+        option.addEventListener('click', function(e) {
+            e.stopPropagation();
+            overlay.remove();
+            onChoose(letter);
+        });
+        dialog.appendChild(option);
+    });
+    
+    // Clicking outside the dialog cancels the move
+    dialog.addEventListener('click', function(e) {
+        e.stopPropagation();
+    });
+    overlay.addEventListener('click', function() {
+        overlay.remove();
+        console.log('Promotion cancelled');
+    });
+    
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+}
+
+// Function to ask what a move made from an earlier position does with the moves after it
+// Returns 'sideline', 'replace' or null if the user cancels
+function askCustomBranchChoice() {
+    const laterMoves = customGameMoves.length - customMoveIndex;
+    const answer = prompt(`${laterMoves} move${laterMoves === 1 ? '' : 's'} follow${laterMoves === 1 ? 's' : ''} this position. What should your move do?\n1 - Start a sideline (keep them)\n2 - Replace them from here`, '1');
+    if (answer === null) return null;
+    
+    const choice = { '1': 'sideline', '2': 'replace' }[answer.trim()];
+    if (!choice) {
+        alert('Please enter 1 to start a sideline or 2 to replace the moves.');
+        return null;
+    }
+    return choice;
+}
+
+// Function to drop the moves after the position being shown (with their sidelines), so that the next move replaces them
+function replaceCustomMovesFromHere() {
+    const removedMoves = customGameMoves.splice(customMoveIndex);
+    customDrawOffered = null;
+    console.log(`Replacing ${removedMoves.length} move(s) from ${removedMoves[0].notation}`);
+}
+
+// Function to start a sideline at the position being shown
+// The sideline replaces the next move of the current line, which keeps it in its `variations`;
+// customGameMoves becomes the line up to the branch, so recording continues as usual
+function startCustomSideline() {
+    const branchIndex = customMoveIndex;
+    const replacedMove = customGameMoves[branchIndex];
+    replacedMove.variations = replacedMove.variations || [];
+    const variationIndex = replacedMove.variations.push([]) - 1;
+    
+    customLineStack.push({ moves: customGameMoves, branchIndex: branchIndex, variationIndex: variationIndex });
+    customGameMoves = customGameMoves.slice(0, branchIndex);
+    customDrawOffered = null;
+    console.log(`Starting a sideline instead of ${replacedMove.notation}`);
+}
+
+// Function to store the sideline being recorded and go back to its parent line, at the branch position
+function leaveCustomSideline() {
+    const parentLine = customLineStack.pop();
+    if (!parentLine) return;
+    
+    const { moves, branchIndex, variationIndex } = parentLine;
+    moves[branchIndex].variations[variationIndex] = customGameMoves.slice(branchIndex);
+    customGameMoves = moves;
+    customMoveIndex = branchIndex;
+    customDrawOffered = null;
+    
+    updateCustomBoardFromMoves();
+    updateCustomMovesDisplay();
+    updateCustomMoveButtons();
+    highlightCurrentCustomMove();
+    updateCustomCommentaryInput();
+    updateCustomGameInfo();
+}
+
+// Function to write a line of recorded moves and its sidelines as text, e.g. "3... Nf6 4. Nc3 (4. d3 d5)"
+function formatCustomLine(moves) {
+    const parts = [];
+    let needsMoveNumber = true;
+    moves.forEach(move => {
+        if (move.turn === 'white') {
+            parts.push(`${move.moveNumber}. ${move.notation}`);
+        } else {
+            parts.push(needsMoveNumber ? `${move.moveNumber}... ${move.notation}` : move.notation);
+        }
+        needsMoveNumber = false;
+        (move.variations || []).forEach(variation => {
+            parts.push(`(${formatCustomLine(variation)})`);
+            needsMoveNumber = true;
+        });
+    });
+    return parts.join(' ');
+}
+
+// Function to get the SAN disambiguator for a piece move ('', a file, a rank, or both)
+function getMoveDisambiguator(fromSquare, toSquare, pieceType) {
+    // Pawns and kings never need one (pawn captures always name their file)
+    if (pieceType.toLowerCase() === 'p' || pieceType.toLowerCase() === 'k') {
+        return '';
+    }
+    
+    // Find other pieces of the same type and color that could also reach the target square
+    const position = getCurrentCustomPosition();
+    const rivals = Object.keys(position).filter(square =>
+        square !== fromSquare &&
+        position[square] === pieceType &&
+        isValidMove(square, toSquare, pieceType)
+    );
+    
+    if (rivals.length === 0) {
+        return '';
+    }
+    
+    // Prefer the file, then the rank, and use the full square only when neither is unique
+    if (!rivals.some(square => square[0] === fromSquare[0])) {
+        return fromSquare[0];
+    }
+    if (!rivals.some(square => square[1] === fromSquare[1])) {
+        return fromSquare[1];
+    }
+    return fromSquare;
 }
 
 // Function to get current custom game position
@@ -805,6 +1022,12 @@ function handleCustomDragStart(e) {
     
     console.log('Custom drag start:', pieceType, 'from', square);
     
+    // Against the computer only the user's own pieces move, on the user's turn
+    if (!canMoveInEngineGame()) {
+        e.preventDefault();
+        return;
+    }
+    
     // Check if it's the correct turn
     const isWhitePiece = pieceType === pieceType.toUpperCase();
     const isBlackPiece = pieceType === pieceType.toLowerCase();
@@ -983,6 +1206,32 @@ function updateCustomMovesDisplay() {
     // Clear existing moves
     movesList.innerHTML = '';
     
+    // While recording a sideline, offer the way back to its parent line
+    if (customLineStack.length > 0) {
+        const sidelineBar = document.createElement('div');
+        sidelineBar.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 6px;
+            padding: 4px 8px;
+            background: #fff8e1;
+            border-radius: 4px;
+            font-size: 13px;
+            color: #8a6d3b;
+        `;
+        sidelineBar.textContent = 'Recording a sideline';
+        const leaveButton = document.createElement('button');
+        leaveButton.textContent = '↩ Back to main line';
+        leaveButton.style.cssText = 'background: none; border: none; color: #1e3a8a; cursor: pointer; font-size: 13px; font-family: inherit;';
+        leaveButton.addEventListener('click', function(e) {
+            e.stopPropagation();
+            leaveCustomSideline();
+        });
+        sidelineBar.appendChild(leaveButton);
+        movesList.appendChild(sidelineBar);
+    }
+    
     // Group moves by move number
     const movesByNumber = {};
     customGameMoves.forEach(move => {
@@ -999,6 +1248,7 @@ function updateCustomMovesDisplay() {
         // Create move row
         const moveRow = document.createElement('div');
         moveRow.className = 'move-row';
+        moveRow.dataset.moveNumber = moveNumber;
         
         // Add move number
         const moveNumberSpan = document.createElement('span');
@@ -1033,8 +1283,8 @@ function updateCustomMovesDisplay() {
         // Add click listeners to move containers
         whiteMoves.addEventListener('click', function() {
             if (moveData.white) {
-                // Calculate the move index (white moves are at odd indices: 1, 3, 5, etc.)
-                const moveIndex = (moveNumber - 1) * 2 + 1;
+                // Show the position after this move (the line may start with Black, or at a later move number)
+                const moveIndex = customGameMoves.indexOf(moveData.white) + 1;
                 customMoveIndex = moveIndex;
                 updateCustomBoardFromMoves();
                 updateCustomMoveButtons();
@@ -1050,8 +1300,8 @@ function updateCustomMovesDisplay() {
         
         blackMoves.addEventListener('click', function() {
             if (moveData.black) {
-                // Calculate the move index (black moves are at even indices: 2, 4, 6, etc.)
-                const moveIndex = (moveNumber - 1) * 2 + 2;
+                // Show the position after this move (the line may start with Black, or at a later move number)
+                const moveIndex = customGameMoves.indexOf(moveData.black) + 1;
                 customMoveIndex = moveIndex;
                 updateCustomBoardFromMoves();
                 updateCustomMoveButtons();
@@ -1075,6 +1325,17 @@ function updateCustomMovesDisplay() {
         
         // Add move row to moves list
         movesList.appendChild(moveRow);
+        
+        // Show the sidelines recorded for this row's moves below it
+        [moveData.white, moveData.black].forEach(move => {
+            if (!move || !move.variations) return;
+            move.variations.forEach(variation => {
+                const sideline = document.createElement('div');
+                sideline.textContent = `(${formatCustomLine(variation)})`;
+                sideline.style.cssText = 'margin: 0 0 4px 24px; font-size: 13px; color: #6c757d;';
+                movesList.appendChild(sideline);
+            });
+        });
     });
     
     console.log(`Displayed ${customGameMoves.length} moves`);
@@ -1174,48 +1435,54 @@ function showCustomGameInfo() {
     if (gameInfo) {
         gameInfo.style.display = 'block';
         
-        // Add click handler for expand/collapse
-        const gameHeader = document.getElementById('custom-game-header');
-        const gameDetails = document.getElementById('custom-game-details');
-        
-        if (gameHeader && gameDetails) {
-            gameHeader.addEventListener('click', function() {
-                gameHeader.classList.toggle('expanded');
-                gameDetails.classList.toggle('show');
-            });
-        }
-        
-        // Add event listener for title input
-        const titleInput = document.getElementById('custom-game-title-input');
-        if (titleInput) {
-            titleInput.addEventListener('input', function() {
-                window.customGameName = this.value.trim();
-            });
+        // The panel is shown again for every first move (a new game, or a sideline from the start);
+        // its handlers are only added the first time
+        if (!gameInfo.dataset.handlersAttached) {
+            gameInfo.dataset.handlersAttached = 'true';
             
-            // Prevent the header click when clicking on the input
-            titleInput.addEventListener('click', function(e) {
-                e.stopPropagation();
-            });
-        }
-        
-        // Add event listeners for all detail inputs
-        const detailInputs = [
-            'custom-detail-description',
-            'custom-detail-white',
-            'custom-detail-black',
-            'custom-detail-opening',
-            'custom-detail-result'
-        ];
-        
-        detailInputs.forEach(inputId => {
-            const input = document.getElementById(inputId);
-            if (input) {
-                // Prevent the header click when clicking on inputs
-                input.addEventListener('click', function(e) {
+            // Add click handler for expand/collapse
+            const gameHeader = document.getElementById('custom-game-header');
+            const gameDetails = document.getElementById('custom-game-details');
+            
+            if (gameHeader && gameDetails) {
+                gameHeader.addEventListener('click', function() {
+                    gameHeader.classList.toggle('expanded');
+                    gameDetails.classList.toggle('show');
+                });
+            }
+            
+            // Add event listener for title input
+            const titleInput = document.getElementById('custom-game-title-input');
+            if (titleInput) {
+                titleInput.addEventListener('input', function() {
+                    window.customGameName = this.value.trim();
+                });
+            
+                // Prevent the header click when clicking on the input
+                titleInput.addEventListener('click', function(e) {
                     e.stopPropagation();
                 });
             }
-        });
+            
+            // Add event listeners for all detail inputs
+            const detailInputs = [
+                'custom-detail-description',
+                'custom-detail-white',
+                'custom-detail-black',
+                'custom-detail-opening',
+                'custom-detail-result'
+            ];
+            
+            detailInputs.forEach(inputId => {
+                const input = document.getElementById(inputId);
+                if (input) {
+                    // Prevent the header click when clicking on inputs
+                    input.addEventListener('click', function(e) {
+                        e.stopPropagation();
+                    });
+                }
+            });
+        }
         
         // Initialize with default values
         updateCustomGameInfo();
@@ -1375,55 +1642,15 @@ function updateCustomBoardFromMoves() {
     // Clear the board
     clearBoard();
     
-    // Set up initial position
-    const initialPosition = getInitialPosition();
-    Object.keys(initialPosition).forEach(square => {
-        const piece = initialPosition[square];
-        if (piece) {
-            placePieceOnSquare(square, piece);
-        }
+    // Draw the position the parser reaches after the moves up to the current index, so that
+    // castling rooks, promotions and pawns taken en passant come out right
+    const parser = getCustomGameParser(customMoveIndex);
+    Object.keys(parser.board).forEach(square => {
+        placePieceOnSquare(square, parser.board[square]);
     });
     
-    // Apply moves up to current index
-    for (let i = 0; i < customMoveIndex; i++) {
-        const move = customGameMoves[i];
-        const fromSquare = move.from;
-        const toSquare = move.to;
-        const pieceType = move.piece;
-        
-        // Move the piece
-        const fromSquareElement = document.querySelector(`[data-square="${fromSquare}"]`);
-        const toSquareElement = document.querySelector(`[data-square="${toSquare}"]`);
-        
-        if (fromSquareElement && toSquareElement) {
-            const pieceElement = fromSquareElement.querySelector('.piece');
-            if (pieceElement) {
-                // Clear destination
-                toSquareElement.innerHTML = '';
-                // Move piece
-                toSquareElement.appendChild(pieceElement);
-                pieceElement.dataset.square = toSquare;
-                // Clear source
-                fromSquareElement.innerHTML = '';
-            }
-        }
-        
-        // Handle en passant capture - remove the captured pawn
-        if (move.isEnPassant && move.enPassantCapturedSquare) {
-            const enPassantSquareElement = document.querySelector(`[data-square="${move.enPassantCapturedSquare}"]`);
-            if (enPassantSquareElement) {
-                enPassantSquareElement.innerHTML = '';
-                console.log('En passant: Removed captured pawn from', move.enPassantCapturedSquare, 'when replaying move', i + 1);
-            }
-        }
-        
-        // Handle regular captures - remove the captured piece
-        if (move.isCapture && !move.isEnPassant) {
-            // The captured piece should already be removed when we cleared the destination square above
-            // But we log it for debugging
-            console.log('Regular capture: Removed piece from', toSquare, 'when replaying move', i + 1);
-        }
-    }
+    // The side to move follows the position being shown, so a sideline can be started from it
+    currentTurn = parser.sideToMove;
     
     // Re-add event listeners
     addCustomGameEventListeners();
@@ -1444,24 +1671,13 @@ function highlightCurrentCustomMove() {
     // If at initial position, don't highlight anything
     if (customMoveIndex === 0) return;
     
-    // Calculate which move to highlight
-    let moveNumber, isWhiteMove;
-    
-    if (customMoveIndex >= customGameMoves.length) {
-        // At final position - highlight the last move
-        moveNumber = Math.ceil(customGameMoves.length / 2);
-        isWhiteMove = customGameMoves.length % 2 === 1;
-    } else {
-        // At a specific move
-        moveNumber = Math.ceil(customMoveIndex / 2);
-        isWhiteMove = customMoveIndex % 2 === 1;
-    }
-    
-    // Find all move rows
-    const moveRows = document.querySelectorAll('.move-row');
+    // The row and side come from the move itself, which is recorded with its number and side, so games from a
+    // set-up position with Black to move (or starting at a later move number) highlight the right move
+    const currentMove = customGameMoves[Math.min(customMoveIndex, customGameMoves.length) - 1];
+    if (!currentMove) return;
+    const isWhiteMove = currentMove.turn === 'white';
     
-    // Find the target move row (0-based indexing)
-    const targetMoveRow = moveRows[moveNumber - 1];
+    const targetMoveRow = document.querySelector(`.move-row[data-move-number="${currentMove.moveNumber}"]`);
     if (!targetMoveRow) return;
     
     // Highlight the appropriate move
@@ -1512,6 +1728,54 @@ function addCustomGameSaveMessage() {
         background: #fff;
     `;
     
+    // Offer PGN import as an alternative to entering the moves one by one
+    if (typeof PgnConverter !== 'undefined') {
+        const importButton = document.createElement('button');
+        importButton.id = 'custom-import-pgn-btn';
+        importButton.textContent = '📋 Import PGN';
+        importButton.style.cssText = `
+            display: block;
+            margin: 8px auto 0;
+            padding: 6px 14px;
+            background: #fff;
+            color: #667eea;
+            border: 1px solid #667eea;
+            border-radius: 6px;
+            font-size: 13px;
+            font-weight: 600;
+            cursor: pointer;
+        `;
+        importButton.addEventListener('click', function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            showPGNImportDialog();
+        });
+        saveMsg.appendChild(importButton);
+    }
+    
+    // Before the first move the game can also start from a Chess960 or set-up position
+    const startPositionButton = document.createElement('button');
+    startPositionButton.id = 'custom-start-position-btn';
+    startPositionButton.textContent = '♞ Chess960 / FEN';
+    startPositionButton.style.cssText = `
+        display: block;
+        margin: 8px auto 0;
+        padding: 6px 14px;
+        background: #fff;
+        color: #667eea;
+        border: 1px solid #667eea;
+        border-radius: 6px;
+        font-size: 13px;
+        font-weight: 600;
+        cursor: pointer;
+    `;
+    startPositionButton.addEventListener('click', function(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        showStartPositionDialog();
+    });
+    saveMsg.appendChild(startPositionButton);
+    
     // Add to moves list container
     const movesList = document.getElementById('moves-list');
     if (movesList && movesList.parentNode) {
@@ -1519,29 +1783,392 @@ function addCustomGameSaveMessage() {
     }
 }
 
-// Function to add save button for custom games
-function addCustomGameSaveButton() {
-    // Remove existing save button or message if they exist
-    const existingSaveBtn = document.getElementById('custom-save-btn');
-    const existingSaveMsg = document.getElementById('custom-save-message');
-    if (existingSaveBtn) {
-        existingSaveBtn.remove();
-    }
-    if (existingSaveMsg) {
-        existingSaveMsg.remove();
-    }
+// Function to let the user paste or upload a PGN and load it into Add Game mode
+function showPGNImportDialog() {
+    const existingDialog = document.getElementById('custom-pgn-import');
+    if (existingDialog) {
+        existingDialog.remove();
+    }
+    
+    const overlay = document.createElement('div');
+    overlay.id = 'custom-pgn-import';
+    overlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.4);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 10000;
+    `;
     
-    // Create save button
-    const saveButton = document.createElement('button');
-    saveButton.id = 'custom-save-btn';
-    saveButton.textContent = '💾 Save Game';
-    saveButton.className = 'save-button';
-    saveButton.style.cssText = `
-        margin: 1rem auto;
-        padding: 0.75rem 1.5rem;
-        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-        color: white;
-        border: none;
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+        background: #fff;
+        border-radius: 8px;
+        padding: 15px 20px;
+        width: 90%;
+        max-width: 480px;
+        box-shadow: 0 4px 15px rgba(0, 0, 0, 0.2);
+    `;
+    
+    const title = document.createElement('div');
+    title.textContent = 'Import PGN';
+    title.style.cssText = 'font-size: 14px; font-weight: 600; color: #34495e; margin-bottom: 10px;';
+    
+    const pgnInput = document.createElement('textarea');
+    pgnInput.placeholder = '[White "..."]\n[Black "..."]\n\n1. e4 e5 2. Nf3 ...';
+    pgnInput.rows = 10;
+    pgnInput.style.cssText = `
+        width: 100%;
+        padding: 8px;
+        border: 1px solid #dee2e6;
+        border-radius: 4px;
+        font-size: 13px;
+        font-family: monospace;
+        resize: vertical;
+        box-sizing: border-box;
+    `;
+    
+    // Uploading a .pgn file just fills the text area so it can be checked before importing
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.pgn,.txt';
+    fileInput.style.cssText = 'margin: 8px 0; font-size: 13px;';
+    fileInput.addEventListener('change', function() {
+        const file = fileInput.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            pgnInput.value = reader.result;
+        };
+        reader.readAsText(file);
+    });
+    
+    const errorMessage = document.createElement('div');
+    errorMessage.style.cssText = 'display: none; color: #e74c3c; font-size: 13px; margin: 6px 0; white-space: pre-wrap;';
+    
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px; margin-top: 8px;';
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.style.cssText = 'padding: 6px 14px; border: 1px solid #dee2e6; border-radius: 6px; background: #f8f9fa; cursor: pointer;';
+    cancelButton.addEventListener('click', function() {
+        overlay.remove();
+    });
+    
+    const importButton = document.createElement('button');
+    importButton.textContent = 'Import';
+    importButton.style.cssText = 'padding: 6px 14px; border: none; border-radius: 6px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; font-weight: 600; cursor: pointer;';
+    importButton.addEventListener('click', function() {
+        try {
+            const game = PgnConverter.parse(pgnInput.value);
+            loadImportedCustomGame(game);
+            overlay.remove();
+        } catch (error) {
+            console.error('❌ PGN import failed:', error.message);
+            errorMessage.textContent = error.message;
+            errorMessage.style.display = 'block';
+        }
+    });
+    
+    buttons.appendChild(cancelButton);
+    buttons.appendChild(importButton);
+    dialog.appendChild(title);
+    dialog.appendChild(pgnInput);
+    dialog.appendChild(fileInput);
+    dialog.appendChild(errorMessage);
+    dialog.appendChild(buttons);
+    
+    // Clicking outside the dialog closes it
+    dialog.addEventListener('click', function(e) {
+        e.stopPropagation();
+    });
+    overlay.addEventListener('click', function() {
+        overlay.remove();
+    });
+    
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+    pgnInput.focus();
+}
+
+// Function to let the user pick a Chess960 starting position (by number or at random) or enter any FEN
+function showStartPositionDialog() {
+    const existingDialog = document.getElementById('custom-start-position');
+    if (existingDialog) {
+        existingDialog.remove();
+    }
+    
+    const overlay = document.createElement('div');
+    overlay.id = 'custom-start-position';
+    overlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.4);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 10000;
+    `;
+    
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+        background: #fff;
+        border-radius: 8px;
+        padding: 15px 20px;
+        width: 90%;
+        max-width: 480px;
+        box-shadow: 0 4px 15px rgba(0, 0, 0, 0.2);
+    `;
+    
+    const title = document.createElement('div');
+    title.textContent = 'Starting position';
+    title.style.cssText = 'font-size: 14px; font-weight: 600; color: #34495e; margin-bottom: 10px;';
+    
+    const inputStyle = 'padding: 6px 8px; border: 1px solid #dee2e6; border-radius: 4px; font-size: 13px; box-sizing: border-box;';
+    
+    // Chess960 positions are numbered 0-959; picking one fills in its FEN
+    const numberRow = document.createElement('div');
+    numberRow.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 8px; font-size: 13px; color: #34495e;';
+    const numberLabel = document.createElement('span');
+    numberLabel.textContent = 'Chess960 position';
+    const numberInput = document.createElement('input');
+    numberInput.type = 'number';
+    numberInput.min = '0';
+    numberInput.max = '959';
+    numberInput.placeholder = '0-959';
+    numberInput.style.cssText = inputStyle + ' width: 80px;';
+    const randomButton = document.createElement('button');
+    randomButton.textContent = '🎲 Random';
+    randomButton.style.cssText = 'padding: 6px 10px; border: 1px solid #dee2e6; border-radius: 6px; background: #f8f9fa; cursor: pointer;';
+    numberRow.appendChild(numberLabel);
+    numberRow.appendChild(numberInput);
+    numberRow.appendChild(randomButton);
+    
+    const fenInput = document.createElement('input');
+    fenInput.type = 'text';
+    fenInput.placeholder = 'FEN, e.g. rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+    fenInput.value = customStartFEN || '';
+    fenInput.style.cssText = inputStyle + ' width: 100%; font-family: monospace;';
+    
+    const errorMessage = document.createElement('div');
+    errorMessage.style.cssText = 'display: none; color: #e74c3c; font-size: 13px; margin: 6px 0; white-space: pre-wrap;';
+    
+    const showChess960Position = number => {
+        try {
+            fenInput.value = ChessMoveParser.chess960FEN(number);
+            errorMessage.style.display = 'none';
+        } catch (error) {
+            errorMessage.textContent = error.message;
+            errorMessage.style.display = 'block';
+        }
+    };
+    numberInput.addEventListener('input', function() {
+        if (numberInput.value !== '') {
+            showChess960Position(Number(numberInput.value));
+        }
+    });
+    randomButton.addEventListener('click', function() {
+        numberInput.value = Math.floor(Math.random() * 960);
+        showChess960Position(Number(numberInput.value));
+    });
+    
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px; margin-top: 8px;';
+    
+    const standardButton = document.createElement('button');
+    standardButton.textContent = 'Standard';
+    standardButton.style.cssText = 'padding: 6px 14px; border: 1px solid #dee2e6; border-radius: 6px; background: #f8f9fa; cursor: pointer; margin-right: auto;';
+    standardButton.addEventListener('click', function() {
+        setCustomStartPosition(null);
+        overlay.remove();
+    });
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.style.cssText = 'padding: 6px 14px; border: 1px solid #dee2e6; border-radius: 6px; background: #f8f9fa; cursor: pointer;';
+    cancelButton.addEventListener('click', function() {
+        overlay.remove();
+    });
+    
+    const setUpButton = document.createElement('button');
+    setUpButton.textContent = 'Set up';
+    setUpButton.style.cssText = 'padding: 6px 14px; border: none; border-radius: 6px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; font-weight: 600; cursor: pointer;';
+    setUpButton.addEventListener('click', function() {
+        try {
+            setCustomStartPosition(fenInput.value.trim());
+            overlay.remove();
+        } catch (error) {
+            console.error('❌ Invalid starting position:', error.message);
+            errorMessage.textContent = error.message;
+            errorMessage.style.display = 'block';
+        }
+    });
+    
+    buttons.appendChild(standardButton);
+    buttons.appendChild(cancelButton);
+    buttons.appendChild(setUpButton);
+    dialog.appendChild(title);
+    dialog.appendChild(numberRow);
+    dialog.appendChild(fenInput);
+    dialog.appendChild(errorMessage);
+    dialog.appendChild(buttons);
+    
+    // Clicking outside the dialog closes it
+    dialog.addEventListener('click', function(e) {
+        e.stopPropagation();
+    });
+    overlay.addEventListener('click', function() {
+        overlay.remove();
+    });
+    
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+    numberInput.focus();
+}
+
+// Function to start recording from another position (null for the standard one); throws if the FEN is not playable
+function setCustomStartPosition(fen) {
+    const parser = new ChessMoveParser(fen || null);
+    const sideNotToMove = parser.sideToMove === 'white' ? 'black' : 'white';
+    if (parser.isInCheck(sideNotToMove === 'white')) {
+        throw new Error(`${sideNotToMove} is in check but it is ${parser.sideToMove} to move`);
+    }
+    
+    customStartFEN = fen && parser.toFEN() !== new ChessMoveParser().toFEN() ? fen : null;
+    customGameMoves = [];
+    customMoveIndex = 0;
+    customLineStack = [];
+    customDrawOffered = null;
+    currentTurn = parser.sideToMove;
+    
+    setupCustomGameBoard();
+    addCustomGameEventListeners();
+    clearCustomSelection();
+    console.log(`♞ Recording from ${customStartFEN ? `FEN ${customStartFEN}` : 'the standard starting position'}`);
+}
+
+// Function to turn moves_detailed entries into recorded custom game moves, playing them on the parser
+// (which must hold the position before the first entry); variations become sidelines of the moves they replace
+function convertImportedMoves(entries, parser) {
+    return entries.map(entry => {
+        const turn = entry.white ? 'white' : 'black';
+        const from = entry[`${turn}_from`];
+        const to = entry[`${turn}_to`];
+        const notation = entry[turn];
+        const piece = parser.board[from];
+        const promotionMatch = notation.match(/=([QRBN])/);
+        const promotion = promotionMatch ? (turn === 'white' ? promotionMatch[1] : promotionMatch[1].toLowerCase()) : null;
+        // A Chess960 king may castle onto its own rook's square, which is not a capture
+        const isCastling = notation.startsWith('O-O');
+        const capturedPiece = entry.isEnPassant ? (turn === 'white' ? 'p' : 'P') : (isCastling ? null : (parser.board[to] || null));
+        const positionBefore = parser.toFEN();
+        
+        parser.updatePiecePosition(piece.toUpperCase(), from, to, turn === 'white', promotion);
+        
+        const moveData = {
+            moveNumber: entry.move_number,
+            from: from,
+            to: to,
+            piece: piece,
+            turn: turn,
+            notation: notation,
+            isCapture: capturedPiece !== null,
+            capturedPiece: capturedPiece,
+            isEnPassant: entry.isEnPassant,
+            enPassantCapturedSquare: entry.enPassantCapturedSquare,
+            promotion: promotion,
+            annotation: entry.annotation,
+            evaluation: entry.evaluation || '',
+            commentary: entry.commentary
+        };
+        if (entry.variations) {
+            moveData.variations = entry.variations.map(variation => convertImportedMoves(variation, new ChessMoveParser(positionBefore)));
+        }
+        return moveData;
+    });
+}
+
+// Function to turn a game parsed from PGN into recorded custom game moves and show it
+function loadImportedCustomGame(game) {
+    console.log(`📋 Importing PGN game "${game.name}" with ${game.moves} moves`);
+    
+    // Replay the moves to know which piece moved and what it captured
+    customStartFEN = game.fen || null;
+    const parser = new ChessMoveParser(customStartFEN);
+    customGameMoves = convertImportedMoves(game.moves_detailed, parser);
+    customLineStack = [];
+    customMoveIndex = customGameMoves.length;
+    currentTurn = parser.sideToMove;
+    customDrawOffered = null;
+    customGameDate = game.date || null;
+    
+    // Fill in the game information from the PGN tags
+    window.customGameName = game.name.substring(0, 25);
+    const detailValues = {
+        'custom-detail-description': game.description || '',
+        'custom-detail-white': game.white_player,
+        'custom-detail-black': game.black_player,
+        'custom-detail-opening': game.opening
+    };
+    Object.keys(detailValues).forEach(inputId => {
+        const input = document.getElementById(inputId);
+        if (input) {
+            input.value = detailValues[inputId].substring(0, 25);
+        }
+    });
+    setCustomGameResult(game.result);
+    
+    // Show the game the same way as after recording moves by hand
+    const customGameInfo = document.getElementById('custom-game-info');
+    if (customGameInfo && customGameInfo.style.display === 'none') {
+        showCustomGameInfo();
+    }
+    const movesList = document.getElementById('moves-list');
+    if (movesList) {
+        movesList.style.display = 'block';
+    }
+    updateCustomBoardFromMoves();
+    updateCustomMovesDisplay();
+    addCustomCommentarySection();
+    addCustomGameSaveButton();
+    updateCustomMoveButtons();
+    updateCustomGameInfo();
+    highlightCurrentCustomMove();
+    updateCustomCommentaryInput();
+}
+
+// Function to add save button for custom games
+function addCustomGameSaveButton() {
+    // Remove existing save button or message if they exist
+    const existingSaveBtn = document.getElementById('custom-save-btn');
+    const existingSaveMsg = document.getElementById('custom-save-message');
+    if (existingSaveBtn) {
+        existingSaveBtn.remove();
+    }
+    if (existingSaveMsg) {
+        existingSaveMsg.remove();
+    }
+    
+    // Create save button
+    const saveButton = document.createElement('button');
+    saveButton.id = 'custom-save-btn';
+    saveButton.textContent = '💾 Save Game';
+    saveButton.className = 'save-button';
+    saveButton.style.cssText = `
+        margin: 1rem auto;
+        padding: 0.75rem 1.5rem;
+        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        color: white;
+        border: none;
         border-radius: 8px;
         font-size: 1rem;
         font-weight: 600;
@@ -1594,6 +2221,11 @@ function resetCustomGameMode() {
     currentTurn = 'white';
     customGameMoves = [];
     customMoveIndex = 0;
+    customDrawOffered = null;
+    customGameDate = null;
+    customLineStack = [];
+    customStartFEN = null;
+    stopEngineGame();
     
     // Clear the board
     clearBoard();
@@ -1634,6 +2266,12 @@ function resetCustomGameMode() {
         deleteGameSection.style.display = 'none';
     }
     
+    // Hide download PGN section
+    const downloadPgnSection = document.getElementById('download-pgn-section');
+    if (downloadPgnSection) {
+        downloadPgnSection.style.display = 'none';
+    }
+    
     // Clear any existing game info sections
     const gameHeader = document.getElementById('game-header');
     const gameDetails = document.getElementById('game-details');
@@ -1656,6 +2294,106 @@ function resetCustomGameMode() {
     console.log('Custom game mode reset complete - right section is now empty');
 }
 
+// Function to build moves_detailed entries (in the same format as preprogrammed games) from recorded moves,
+// including the sidelines of each move as nested `variations`
+function buildCustomMovesDetailed(moves) {
+    const detailedMoves = [];
+    const movesByNumber = {};
+    
+    // Group moves by move number
+    moves.forEach(move => {
+        if (!movesByNumber[move.moveNumber]) {
+            movesByNumber[move.moveNumber] = {};
+        }
+        movesByNumber[move.moveNumber][move.turn] = move;
+    });
+    
+    // Create detailed moves in the same format as preprogrammed games
+    Object.keys(movesByNumber).sort((a, b) => parseInt(a) - parseInt(b)).forEach(moveNumber => {
+        const moveData = movesByNumber[moveNumber];
+        
+        // Add white move if it exists (separate entry)
+        if (moveData.white) {
+            let captureText = '';
+            if (moveData.white.isCapture) {
+                if (moveData.white.isEnPassant) {
+                    captureText = ` (en passant captures ${moveData.white.capturedPiece} on ${moveData.white.enPassantCapturedSquare})`;
+                } else {
+                    captureText = ` (captures ${moveData.white.capturedPiece})`;
+                }
+            }
+            // Create description with commentary if present
+            if (moveData.white.promotion) {
+                captureText += ` (promotes to ${moveData.white.promotion})`;
+            }
+            let description = `${moveData.white.piece} from ${moveData.white.from} to ${moveData.white.to}${captureText}`;
+            if (moveData.white.commentary && moveData.white.commentary.trim() !== '') {
+                description += ` - ${moveData.white.commentary.trim()}`;
+            }
+
+            detailedMoves.push({
+                move_number: parseInt(moveNumber),
+                white: moveData.white.notation,
+                black: null,
+                description: description,
+                white_from: moveData.white.from,
+                white_to: moveData.white.to,
+                black_from: null,
+                black_to: null,
+                annotation: moveData.white.annotation || '',
+                evaluation: moveData.white.evaluation || '',
+                commentary: moveData.white.commentary || '',
+                isEnPassant: moveData.white.isEnPassant || false,
+                enPassantCapturedSquare: moveData.white.enPassantCapturedSquare || null
+            });
+            if (moveData.white.variations) {
+                detailedMoves[detailedMoves.length - 1].variations = moveData.white.variations.map(buildCustomMovesDetailed);
+            }
+        }
+        
+        // Add black move if it exists (separate entry)
+        if (moveData.black) {
+            let captureText = '';
+            if (moveData.black.isCapture) {
+                if (moveData.black.isEnPassant) {
+                    captureText = ` (en passant captures ${moveData.black.capturedPiece} on ${moveData.black.enPassantCapturedSquare})`;
+                } else {
+                    captureText = ` (captures ${moveData.black.capturedPiece})`;
+                }
+            }
+            // Create description with commentary if present
+            if (moveData.black.promotion) {
+                captureText += ` (promotes to ${moveData.black.promotion})`;
+            }
+            let description = `${moveData.black.piece} from ${moveData.black.from} to ${moveData.black.to}${captureText}`;
+            if (moveData.black.commentary && moveData.black.commentary.trim() !== '') {
+                description += ` - ${moveData.black.commentary.trim()}`;
+            }
+
+            detailedMoves.push({
+                move_number: parseInt(moveNumber),
+                white: null,
+                black: moveData.black.notation,
+                description: description,
+                white_from: null,
+                white_to: null,
+                black_from: moveData.black.from,
+                black_to: moveData.black.to,
+                annotation: moveData.black.annotation || '',
+                evaluation: moveData.black.evaluation || '',
+                commentary: moveData.black.commentary || '',
+                isEnPassant: moveData.black.isEnPassant || false,
+                enPassantCapturedSquare: moveData.black.enPassantCapturedSquare || null
+            });
+            if (moveData.black.variations) {
+                detailedMoves[detailedMoves.length - 1].variations = moveData.black.variations.map(buildCustomMovesDetailed);
+            }
+        }
+    });
+    
+    return detailedMoves;
+}
+
 // Function to save custom game (local function, not the Supabase one)
 function saveCustomGameLocal() {
     console.log('💾 saveCustomGameLocal (local function) called');
@@ -1703,6 +2441,12 @@ function saveCustomGameLocal() {
     }
     
     console.log('✅ Validation passed, proceeding to save game...');
+    
+    // Store any sideline being recorded so the main line is saved with all of its variations
+    while (customLineStack.length > 0) {
+        leaveCustomSideline();
+    }
+    
     const description = descriptionInput ? descriptionInput.value.trim() || 'Custom chess game created by user' : 'Custom chess game created by user';
     const whitePlayer = whitePlayerInput ? whitePlayerInput.value.trim() || 'White' : 'White';
     const blackPlayer = blackPlayerInput ? blackPlayerInput.value.trim() || 'Black' : 'Black';
@@ -1719,7 +2463,7 @@ function saveCustomGameLocal() {
         moves: customGameMoves.length,
         result: result,
         opening: opening,
-        date: new Date().toISOString().split('T')[0],
+        date: customGameDate || new Date().toISOString().split('T')[0],
         difficulty: 'Custom',
         moves_notation: (() => {
             // Create moves_notation array in the same order as moves are played
@@ -1729,91 +2473,17 @@ function saveCustomGameLocal() {
             });
             return notation;
         })(),
-        moves_detailed: (() => {
-            const detailedMoves = [];
-            const movesByNumber = {};
-            
-            // Group moves by move number
-            customGameMoves.forEach(move => {
-                if (!movesByNumber[move.moveNumber]) {
-                    movesByNumber[move.moveNumber] = {};
-                }
-                movesByNumber[move.moveNumber][move.turn] = move;
-            });
-            
-            // Create detailed moves in the same format as preprogrammed games
-            Object.keys(movesByNumber).sort((a, b) => parseInt(a) - parseInt(b)).forEach(moveNumber => {
-                const moveData = movesByNumber[moveNumber];
-                
-            // Add white move if it exists (separate entry)
-            if (moveData.white) {
-                let captureText = '';
-                if (moveData.white.isCapture) {
-                    if (moveData.white.isEnPassant) {
-                        captureText = ` (en passant captures ${moveData.white.capturedPiece} on ${moveData.white.enPassantCapturedSquare})`;
-                    } else {
-                        captureText = ` (captures ${moveData.white.capturedPiece})`;
-                    }
-                }
-                // Create description with commentary if present
-                let description = `${moveData.white.piece} from ${moveData.white.from} to ${moveData.white.to}${captureText}`;
-                if (moveData.white.commentary && moveData.white.commentary.trim() !== '') {
-                    description += ` - ${moveData.white.commentary.trim()}`;
-                }
-                    
-                    detailedMoves.push({
-                        move_number: parseInt(moveNumber),
-                        white: moveData.white.notation,
-                        black: null,
-                        description: description,
-                        white_from: moveData.white.from,
-                        white_to: moveData.white.to,
-                        black_from: null,
-                        black_to: null,
-                        annotation: '',
-                        commentary: moveData.white.commentary || '',
-                        isEnPassant: moveData.white.isEnPassant || false,
-                        enPassantCapturedSquare: moveData.white.enPassantCapturedSquare || null
-                    });
-                }
-                
-            // Add black move if it exists (separate entry)
-            if (moveData.black) {
-                let captureText = '';
-                if (moveData.black.isCapture) {
-                    if (moveData.black.isEnPassant) {
-                        captureText = ` (en passant captures ${moveData.black.capturedPiece} on ${moveData.black.enPassantCapturedSquare})`;
-                    } else {
-                        captureText = ` (captures ${moveData.black.capturedPiece})`;
-                    }
-                }
-                // Create description with commentary if present
-                let description = `${moveData.black.piece} from ${moveData.black.from} to ${moveData.black.to}${captureText}`;
-                if (moveData.black.commentary && moveData.black.commentary.trim() !== '') {
-                    description += ` - ${moveData.black.commentary.trim()}`;
-                }
-                    
-                    detailedMoves.push({
-                        move_number: parseInt(moveNumber),
-                        white: null,
-                        black: moveData.black.notation,
-                        description: description,
-                        white_from: null,
-                        white_to: null,
-                        black_from: moveData.black.from,
-                        black_to: moveData.black.to,
-                        annotation: '',
-                        commentary: moveData.black.commentary || '',
-                        isEnPassant: moveData.black.isEnPassant || false,
-                        enPassantCapturedSquare: moveData.black.enPassantCapturedSquare || null
-                    });
-                }
-            });
-            
-            return detailedMoves;
-        })()
+        moves_detailed: buildCustomMovesDetailed(customGameMoves)
     };
     
+    // Games from another starting position are replayed from their FEN
+    if (customStartFEN) {
+        gameData.fen = customStartFEN;
+        if (new ChessMoveParser(customStartFEN).chess960) {
+            gameData.variant = 'Chess960';
+        }
+    }
+    
     // Load existing custom games or create new structure
     let customGamesData = { games: [] };
     
@@ -2010,3 +2680,627 @@ async function saveGameToServer(gameData) {
     }
 }
 
+// Position reconstruction test: play N moves of the selected library game blind, then rebuild the position
+// from memory on an empty board with a piece palette, and compare it square by square
+function startReconstructionTest() {
+    if (customGameMode || typeof currentGame === 'undefined' || !currentGame) {
+        alert('Select a game first, then rebuild its position after a blind replay.');
+        return;
+    }
+    
+    const totalMoves = currentGame.moves_detailed.length;
+    const answer = prompt(`How many moves should be played blind before you rebuild the position? (1-${totalMoves}, every move of either side counts)`, String(Math.min(totalMoves, 20)));
+    if (answer === null) return;
+    
+    const moveCount = parseInt(answer);
+    if (!(moveCount >= 1 && moveCount <= totalMoves)) {
+        alert(`Please enter a number of moves between 1 and ${totalMoves}.`);
+        return;
+    }
+    
+    if (isChallengeMode) {
+        toggleChallengeMode();
+    }
+    stopReconstructionTest();
+    
+    reconstructionTest = {
+        phase: 'replay',
+        moveCount: moveCount,
+        target: null,
+        placed: {},
+        selectedPiece: null,
+        timer: null,
+        previousVisualMode: currentVisualMode
+    };
+    setReconstructionControlsHidden(true);
+    addReconstructionListeners();
+    
+    // Play the moves with the pieces hidden; a checkpoint question pauses the replay until it is answered
+    switchVisualMode('empty');
+    goToInitialPosition();
+    const playNextMove = () => {
+        if (!reconstructionTest || reconstructionTest.phase !== 'replay') return;
+        
+        if (currentMoveIndex >= moveCount) {
+            showReconstructionBoard();
+            return;
+        }
+        if (typeof checkpointQuestion === 'undefined' || !checkpointQuestion) {
+            goToNextMove();
+        }
+        reconstructionTest.timer = setTimeout(playNextMove, 900);
+    };
+    reconstructionTest.timer = setTimeout(playNextMove, 600);
+    
+    console.log(`🧩 Reconstruction test: playing ${moveCount} moves blind`);
+}
+
+// Function to hide the navigation and visual mode buttons while a test runs (as challenge mode does)
+function setReconstructionControlsHidden(hidden) {
+    const moveControls = document.querySelector('.move-controls');
+    const visualModes = document.querySelector('.visual-modes');
+    if (moveControls) {
+        moveControls.style.display = hidden ? 'none' : 'flex';
+    }
+    if (visualModes) {
+        visualModes.style.display = hidden ? 'none' : '';
+    }
+}
+
+// Function to show the empty board and the piece palette once the blind moves have been played
+function showReconstructionBoard() {
+    boardState.goToMove(currentGame, reconstructionTest.moveCount);
+    reconstructionTest.target = Object.assign({}, boardState.parser.board);
+    reconstructionTest.phase = 'rebuild';
+    
+    clearBoard();
+    showReconstructionPanel();
+    console.log('🧩 Rebuild the position after', reconstructionTest.moveCount, 'moves');
+}
+
+// Function to build the panel under the board: the palette while rebuilding, the score afterwards
+function showReconstructionPanel(result = null) {
+    const existingPanel = document.getElementById('reconstruction-panel');
+    if (existingPanel) {
+        existingPanel.remove();
+    }
+    
+    const panel = document.createElement('div');
+    panel.id = 'reconstruction-panel';
+    panel.style.cssText = `
+        margin-top: 10px;
+        padding: 10px;
+        background: #f8f9fa;
+        border: 1px solid #dee2e6;
+        border-radius: 8px;
+        font-size: 13px;
+        color: #34495e;
+    `;
+    
+    const title = document.createElement('div');
+    title.style.cssText = 'font-weight: 600; margin-bottom: 8px;';
+    panel.appendChild(title);
+    
+    const buttonStyle = 'padding: 6px 14px; border: 1px solid #dee2e6; border-radius: 6px; background: #fff; cursor: pointer;';
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px; margin-top: 8px;';
+    
+    if (!result) {
+        title.textContent = `🧩 Rebuild the position after ${reconstructionTest.moveCount} moves: pick a piece, then click its squares (drag pieces to move them, or off the board to remove them)`;
+        
+        const palette = document.createElement('div');
+        palette.style.cssText = 'display: flex; flex-wrap: wrap; gap: 4px;';
+        const paletteButtons = [];
+        const selectPiece = (piece, button) => {
+            reconstructionTest.selectedPiece = piece;
+            paletteButtons.forEach(other => {
+                other.style.borderColor = other === button ? '#1e3a8a' : '#dee2e6';
+            });
+        };
+        
+        ['K', 'Q', 'R', 'B', 'N', 'P', 'k', 'q', 'r', 'b', 'n', 'p', ''].forEach(piece => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.draggable = !!piece;
+            button.title = piece ? describeReconstructionPiece(piece) : 'Eraser: click pieces to remove them';
+            button.style.cssText = 'width: 40px; height: 40px; border: 2px solid #dee2e6; border-radius: 6px; background: #fff center / 32px no-repeat; cursor: pointer;';
+            if (piece) {
+                button.style.backgroundImage = `url('pieces/${moveParser.getPieceImage(piece.toUpperCase(), piece === piece.toUpperCase())}')`;
+            } else {
+                button.textContent = '✖';
+            }
+            button.addEventListener('click', () => selectPiece(piece, button));
+            button.addEventListener('dragstart', function(e) {
+                selectPiece(piece, button);
+                e.dataTransfer.setData('text/plain', JSON.stringify({ piece: piece, fromSquare: null }));
+                e.dataTransfer.effectAllowed = 'copy';
+            });
+            paletteButtons.push(button);
+            palette.appendChild(button);
+        });
+        panel.appendChild(palette);
+        
+        const checkButton = document.createElement('button');
+        checkButton.textContent = 'Check';
+        checkButton.style.cssText = 'padding: 6px 14px; border: none; border-radius: 6px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; font-weight: 600; cursor: pointer;';
+        checkButton.addEventListener('click', checkReconstruction);
+        
+        const giveUpButton = document.createElement('button');
+        giveUpButton.textContent = 'Give up';
+        giveUpButton.style.cssText = buttonStyle;
+        giveUpButton.addEventListener('click', stopReconstructionTest);
+        
+        buttons.appendChild(giveUpButton);
+        buttons.appendChild(checkButton);
+    } else {
+        title.textContent = `🧩 Score ${result.score}%: ${result.correct} of ${result.total} pieces right, ${result.wrong} wrong piece(s), ${result.missing} missing, ${result.extra} extra`;
+        
+        const legend = document.createElement('div');
+        legend.innerHTML = '<span style="color: #27ae60;">■</span> correct &nbsp; <span style="color: #e74c3c;">■</span> wrong or extra (hover for the right piece) &nbsp; <span style="color: #f39c12;">■</span> missing (shown faded)';
+        panel.appendChild(legend);
+        
+        const doneButton = document.createElement('button');
+        doneButton.textContent = 'Done';
+        doneButton.style.cssText = buttonStyle;
+        doneButton.addEventListener('click', stopReconstructionTest);
+        buttons.appendChild(doneButton);
+    }
+    panel.appendChild(buttons);
+    
+    const board = document.getElementById('chess-board');
+    const boardSection = board ? board.closest('.board-section') : null;
+    if (boardSection) {
+        boardSection.appendChild(panel);
+    }
+}
+
+// Function to name a piece by its FEN letter, e.g. 'n' -> 'Black knight'
+function describeReconstructionPiece(piece) {
+    const names = { K: 'king', Q: 'queen', R: 'rook', B: 'bishop', N: 'knight', P: 'pawn' };
+    return `${piece === piece.toUpperCase() ? 'White' : 'Black'} ${names[piece.toUpperCase()]}`;
+}
+
+// Function to put a piece (FEN letter) on a square of the rebuilt position, or clear it
+function setReconstructedPiece(square, piece) {
+    const squareElement = document.querySelector(`[data-square="${square}"]`);
+    if (!squareElement) return;
+    
+    squareElement.innerHTML = '';
+    if (piece) {
+        reconstructionTest.placed[square] = piece;
+        placePieceOnSquare(square, piece);
+    } else {
+        delete reconstructionTest.placed[square];
+    }
+}
+
+// Function to take over the board while a test runs; capturing listeners run before the trainer's own
+function addReconstructionListeners() {
+    if (reconstructionListenersAdded) return;
+    const board = document.getElementById('chess-board');
+    if (!board) return;
+    reconstructionListenersAdded = true;
+    
+    const isActive = () => reconstructionTest && reconstructionTest.phase !== 'replay';
+    // Pieces carry the square they stand on as well, so the closest element with one will do
+    const getSquare = e => {
+        const element = e.target.closest('[data-square]');
+        return element ? element.dataset.square : null;
+    };
+    
+    board.addEventListener('click', function(e) {
+        if (!isActive()) return;
+        e.stopPropagation();
+        e.preventDefault();
+        
+        const square = getSquare(e);
+        if (reconstructionTest.phase !== 'rebuild' || !square || reconstructionTest.selectedPiece === null) return;
+        
+        // Clicking a square that already holds the selected piece takes it off again
+        const piece = reconstructionTest.selectedPiece;
+        setReconstructedPiece(square, reconstructionTest.placed[square] === piece ? '' : piece);
+    }, true);
+    
+    board.addEventListener('dragstart', function(e) {
+        if (!isActive()) return;
+        e.stopPropagation();
+        
+        const square = getSquare(e);
+        if (reconstructionTest.phase !== 'rebuild' || !square || !reconstructionTest.placed[square]) {
+            e.preventDefault();
+            return;
+        }
+        e.dataTransfer.setData('text/plain', JSON.stringify({ piece: reconstructionTest.placed[square], fromSquare: square }));
+        e.dataTransfer.effectAllowed = 'move';
+    }, true);
+    
+    board.addEventListener('dragover', function(e) {
+        if (!isActive()) return;
+        e.stopPropagation();
+        e.preventDefault();
+    }, true);
+    
+    board.addEventListener('drop', function(e) {
+        if (!isActive()) return;
+        e.stopPropagation();
+        e.preventDefault();
+        
+        const square = getSquare(e);
+        if (reconstructionTest.phase !== 'rebuild' || !square) return;
+        try {
+            const dragData = JSON.parse(e.dataTransfer.getData('text/plain'));
+            if (dragData.fromSquare && dragData.fromSquare !== square) {
+                setReconstructedPiece(dragData.fromSquare, '');
+            }
+            setReconstructedPiece(square, dragData.piece);
+        } catch (error) {
+            console.error('Error reading the dragged piece:', error);
+        }
+    }, true);
+    
+    // A placed piece dragged off the board is removed
+    board.addEventListener('dragend', function(e) {
+        if (!isActive() || reconstructionTest.phase !== 'rebuild') return;
+        e.stopPropagation();
+        
+        const square = getSquare(e);
+        if (square && e.dataTransfer.dropEffect === 'none' && reconstructionTest.placed[square]) {
+            setReconstructedPiece(square, '');
+        }
+    }, true);
+}
+
+// Function to compare the rebuilt position with the real one and show the square-by-square diff
+function checkReconstruction() {
+    if (!reconstructionTest || reconstructionTest.phase !== 'rebuild') return;
+    
+    const result = BoardState.comparePositions(reconstructionTest.target, reconstructionTest.placed);
+    reconstructionTest.phase = 'review';
+    
+    const colors = { correct: '#27ae60', wrong: '#e74c3c', extra: '#e74c3c', missing: '#f39c12' };
+    result.squares.forEach(entry => {
+        const squareElement = document.querySelector(`[data-square="${entry.square}"]`);
+        if (!squareElement) return;
+        
+        squareElement.style.boxShadow = `inset 0 0 0 4px ${colors[entry.status]}`;
+        if (entry.status === 'missing') {
+            placePieceOnSquare(entry.square, entry.expected);
+            const ghost = squareElement.lastElementChild;
+            if (ghost) {
+                ghost.style.opacity = '0.35';
+            }
+        }
+        if (entry.status === 'wrong' || entry.status === 'extra') {
+            squareElement.title = entry.expected ? `Should be: ${describeReconstructionPiece(entry.expected)}` : 'Should be empty';
+        }
+    });
+    
+    showReconstructionPanel(result);
+    console.log('🧩 Reconstruction result:', result);
+}
+
+// Function to end the test and give the board back to the trainer, at the position the test stopped at
+function stopReconstructionTest() {
+    if (!reconstructionTest) return;
+    
+    clearTimeout(reconstructionTest.timer);
+    const previousVisualMode = reconstructionTest.previousVisualMode;
+    reconstructionTest = null;
+    
+    document.querySelectorAll('.chess-square').forEach(square => {
+        square.style.boxShadow = '';
+        square.removeAttribute('title');
+    });
+    const panel = document.getElementById('reconstruction-panel');
+    if (panel) {
+        panel.remove();
+    }
+    setReconstructionControlsHidden(false);
+    
+    if (typeof currentGame !== 'undefined' && currentGame && !customGameMode) {
+        updateBoardPosition();
+        switchVisualMode(previousVisualMode);
+    }
+}
+
+// Blindfold game against the built-in engine (chess-engine.js): the user picks a strength and a color,
+// then plays by dragging the hidden pieces or typing moves. The game is recorded like any Add Game game,
+// so once it is over it can be saved to My Games
+function startEngineGame() {
+    const levels = ChessEngine.levels;
+    const levelAnswer = prompt(`Computer strength?\n${levels.map((level, index) => `${index + 1} - ${level.name}`).join('\n')}`, '2');
+    if (levelAnswer === null) return;
+    
+    const level = levels[parseInt(levelAnswer) - 1];
+    if (!level) {
+        alert(`Please enter a number between 1 and ${levels.length}.`);
+        return;
+    }
+    
+    const colorAnswer = prompt('Play as White or Black? (w / b)', 'w');
+    if (colorAnswer === null) return;
+    
+    const color = colorAnswer.trim().toLowerCase()[0];
+    if (color !== 'w' && color !== 'b') {
+        alert('Please enter w to play White or b to play Black.');
+        return;
+    }
+    
+    initializeCustomGameMode();
+    
+    // The game starts from the standard position, so PGN import and set-up positions are not offered
+    hideCustomSaveMessage();
+    
+    engineGame = {
+        engine: new ChessEngine(level.id),
+        userColor: color === 'w' ? 'white' : 'black',
+        blindfold: true,
+        peeks: 0,
+        thinking: false,
+        timer: null,
+        over: false
+    };
+    
+    // Fill in the game information, so that the game can be saved without typing anything
+    window.customGameName = `vs Computer (${level.name})`.substring(0, 25);
+    const detailValues = {
+        'custom-detail-description': 'Blindfold game',
+        'custom-detail-white': engineGame.userColor === 'white' ? 'You' : `Computer (${level.name})`,
+        'custom-detail-black': engineGame.userColor === 'black' ? 'You' : `Computer (${level.name})`,
+        'custom-detail-opening': ''
+    };
+    Object.keys(detailValues).forEach(inputId => {
+        const input = document.getElementById(inputId);
+        if (input) {
+            input.value = detailValues[inputId].substring(0, 25);
+        }
+    });
+    updateCustomGameTitle();
+    
+    document.querySelectorAll('.submenu-button').forEach(btn => {
+        btn.classList.remove('selected');
+    });
+    const engineButton = document.getElementById('play-engine-my-btn');
+    if (engineButton) {
+        engineButton.classList.add('selected');
+    }
+    
+    setEngineBlindfold(true);
+    showEngineGamePanel();
+    continueEngineGame();
+    console.log(`🤖 Blindfold game vs the computer (${level.name}), playing ${engineGame.userColor}`);
+}
+
+// Function to tell whether the user may move now: always outside engine games, and in an engine game only
+// on their own turn, at the last move of the game
+function canMoveInEngineGame() {
+    return !engineGame || (!engineGame.over && !engineGame.thinking &&
+        currentTurn === engineGame.userColor && customMoveIndex === customGameMoves.length);
+}
+
+// Function to take the game on after a move: end it if it is over, or let the computer answer
+function continueEngineGame() {
+    if (!engineGame || engineGame.over) return;
+    
+    const resultInput = document.getElementById('custom-detail-result');
+    const result = resultInput ? resultInput.value : 'In progress';
+    if (result !== 'In progress') {
+        finishEngineGame(result);
+        return;
+    }
+    
+    if (currentTurn !== engineGame.userColor) {
+        // Let the page show the user's move before the search blocks it
+        engineGame.thinking = true;
+        engineGame.timer = setTimeout(playEngineMove, 400);
+    }
+    updateEngineGamePanel();
+}
+
+// Function to let the engine choose and play its move on the board, from the last position of the game
+function playEngineMove() {
+    if (!engineGame || !customGameMode) return;
+    
+    if (customMoveIndex < customGameMoves.length) {
+        goToLastCustomMove();
+    }
+    
+    const move = engineGame.engine.chooseMove(getCustomGameParser(customGameMoves.length));
+    engineGame.thinking = false;
+    if (!move) return;
+    
+    makeCustomMove(move.source, move.target, move.isWhite ? move.piece : move.piece.toLowerCase(), move.promotion || null);
+    
+    const lastMove = customGameMoves[customGameMoves.length - 1];
+    if (lastMove && typeof moveNarrator !== 'undefined') {
+        moveNarrator.speak(lastMove.notation);
+    }
+}
+
+// Function to play a move typed in the engine game panel (SAN or long algebraic notation)
+function submitEngineTypedMove() {
+    const input = document.getElementById('engine-move-input');
+    const feedback = document.getElementById('engine-move-feedback');
+    if (!engineGame || !input) return;
+    
+    if (!canMoveInEngineGame()) {
+        feedback.textContent = engineGame.over ? 'The game is over' : 'Wait for your turn';
+        return;
+    }
+    
+    let move;
+    try {
+        move = getCustomGameParser(customGameMoves.length).parseTypedMove(input.value, engineGame.userColor === 'white');
+    } catch (error) {
+        feedback.textContent = error.message;
+        return;
+    }
+    
+    input.value = '';
+    feedback.textContent = '';
+    makeCustomMove(move.source, move.target, move.isWhite ? move.piece : move.piece.toLowerCase(), move.promotion || null);
+}
+
+// Function to hide the pieces on the board (they can still be dragged), or show them for a peek
+function setEngineBlindfold(blindfold) {
+    const board = document.getElementById('chess-board');
+    if (board) {
+        board.classList.toggle('engine-blindfold', blindfold);
+    }
+    if (engineGame) {
+        engineGame.blindfold = blindfold;
+    }
+}
+
+// Function to build the panel under the board: whose move it is, the typed move entry, peek and resign
+function showEngineGamePanel() {
+    const existingPanel = document.getElementById('engine-game-panel');
+    if (existingPanel) {
+        existingPanel.remove();
+    }
+    
+    const panel = document.createElement('div');
+    panel.id = 'engine-game-panel';
+    panel.style.cssText = `
+        margin-top: 10px;
+        padding: 10px;
+        background: #f8f9fa;
+        border: 1px solid #dee2e6;
+        border-radius: 8px;
+        font-size: 13px;
+        color: #34495e;
+    `;
+    
+    const title = document.createElement('div');
+    title.style.cssText = 'font-weight: 600; margin-bottom: 6px;';
+    title.textContent = `🤖 Blindfold game vs ${engineGame.engine.level.name}: you play ${engineGame.userColor}`;
+    panel.appendChild(title);
+    
+    const status = document.createElement('div');
+    status.id = 'engine-game-status';
+    status.style.cssText = 'margin-bottom: 8px;';
+    panel.appendChild(status);
+    
+    const form = document.createElement('form');
+    form.autocomplete = 'off';
+    form.style.cssText = 'display: flex; gap: 6px;';
+    form.innerHTML = `
+        <input type="text" id="engine-move-input" placeholder="Type your move, e.g. Nf3 or g1f3" spellcheck="false" aria-label="Your move" style="flex: 1; padding: 6px 8px; border: 1px solid #dee2e6; border-radius: 6px; font-family: monospace;">
+        <button type="submit" style="padding: 6px 14px; border: none; border-radius: 6px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; font-weight: 600; cursor: pointer;">Play</button>
+    `;
+    form.addEventListener('submit', function(e) {
+        e.preventDefault();
+        submitEngineTypedMove();
+    });
+    panel.appendChild(form);
+    
+    const feedback = document.createElement('div');
+    feedback.id = 'engine-move-feedback';
+    feedback.style.cssText = 'min-height: 1.2em; margin-top: 4px; color: #e74c3c;';
+    panel.appendChild(feedback);
+    
+    const buttonStyle = 'padding: 6px 14px; border: 1px solid #dee2e6; border-radius: 6px; background: #fff; cursor: pointer;';
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px; margin-top: 8px;';
+    
+    const peekButton = document.createElement('button');
+    peekButton.id = 'engine-peek-btn';
+    peekButton.style.cssText = buttonStyle;
+    peekButton.addEventListener('click', function() {
+        if (!engineGame) return;
+        if (engineGame.blindfold && !engineGame.over) {
+            engineGame.peeks++;
+        }
+        setEngineBlindfold(!engineGame.blindfold);
+        updateEngineGamePanel();
+    });
+    
+    const resignButton = document.createElement('button');
+    resignButton.id = 'engine-resign-btn';
+    resignButton.textContent = 'Resign';
+    resignButton.style.cssText = buttonStyle;
+    resignButton.addEventListener('click', function() {
+        if (!engineGame || engineGame.over || !confirm('Resign this game?')) return;
+        clearTimeout(engineGame.timer);
+        engineGame.thinking = false;
+        const result = engineGame.userColor === 'white' ? '0-1' : '1-0';
+        setCustomGameResult(result);
+        finishEngineGame(result);
+    });
+    
+    const saveButton = document.createElement('button');
+    saveButton.id = 'engine-save-btn';
+    saveButton.textContent = '💾 Save to My Games';
+    saveButton.style.cssText = 'padding: 6px 14px; border: none; border-radius: 6px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; font-weight: 600; cursor: pointer;';
+    saveButton.addEventListener('click', saveCustomGameLocal);
+    
+    buttons.appendChild(peekButton);
+    buttons.appendChild(resignButton);
+    buttons.appendChild(saveButton);
+    panel.appendChild(buttons);
+    
+    const board = document.getElementById('chess-board');
+    const boardSection = board ? board.closest('.board-section') : null;
+    if (boardSection) {
+        boardSection.appendChild(panel);
+    }
+    updateEngineGamePanel();
+}
+
+// Function to refresh the status line and buttons of the engine game panel
+function updateEngineGamePanel() {
+    const status = document.getElementById('engine-game-status');
+    if (!engineGame || !status) return;
+    
+    const lastMove = customGameMoves[customGameMoves.length - 1];
+    const lastMoveText = lastMove ? `${lastMove.moveNumber}${lastMove.turn === 'white' ? '.' : '...'}${lastMove.notation}` : '';
+    
+    if (engineGame.over) {
+        status.textContent = `Game over: ${document.getElementById('custom-detail-result').value}${lastMoveText ? ` after ${lastMoveText}` : ''}`;
+    } else if (engineGame.thinking) {
+        status.textContent = 'The computer is thinking...';
+    } else if (lastMove && lastMove.turn !== engineGame.userColor) {
+        status.textContent = `The computer played ${lastMoveText}. Your move.`;
+    } else {
+        status.textContent = 'Your move.';
+    }
+    
+    const peeks = engineGame.peeks ? ` (${engineGame.peeks} peek${engineGame.peeks === 1 ? '' : 's'} so far)` : '';
+    document.getElementById('engine-peek-btn').textContent = engineGame.blindfold ? `👁 Show pieces${peeks}` : '🙈 Hide pieces';
+    document.getElementById('engine-resign-btn').style.display = engineGame.over ? 'none' : '';
+    document.getElementById('engine-save-btn').style.display = engineGame.over ? '' : 'none';
+}
+
+// Function to close an engine game: show the final position, note the peeks and offer to save it
+function finishEngineGame(result) {
+    engineGame.over = true;
+    setEngineBlindfold(false);
+    
+    const descriptionInput = document.getElementById('custom-detail-description');
+    if (descriptionInput) {
+        descriptionInput.value = `Blindfold, ${engineGame.peeks} peek${engineGame.peeks === 1 ? '' : 's'}`;
+    }
+    updateEngineGamePanel();
+    console.log(`🤖 Game against the computer over: ${result}`);
+    
+    // Let the board show the final position before asking
+    setTimeout(() => {
+        if (engineGame && customGameMoves.length > 0 && confirm(`Game over: ${result}. Save it to My Games?`)) {
+            saveCustomGameLocal();
+        }
+    }, 300);
+}
+
+// Function to end an engine game (a new game, another game selected, or the game saved)
+function stopEngineGame() {
+    if (!engineGame) return;
+    
+    clearTimeout(engineGame.timer);
+    engineGame = null;
+    setEngineBlindfold(false);
+    
+    const panel = document.getElementById('engine-game-panel');
+    if (panel) {
+        panel.remove();
+    }
+}
@@ -0,0 +1,103 @@
+// Spoken move narration for blindfold training
+// Turns SAN moves into natural language ("Knight takes e5, check") and reads them aloud
+// through the browser's speech synthesis. The settings (on/off, speed, voice) are a UI
+// preference, so they are kept in localStorage under "moveNarration".
+//
+// API
+//   MoveNarrator.describe(san)  - the spoken form of a SAN move
+//   new MoveNarrator()          - a narrator with the saved settings
+//   isAvailable()               - whether the browser can speak at all
+//   settings                    - { enabled, rate, voiceURI }
+//   updateSettings(changes)     - change and save settings
+//   getVoices()                 - the voices the browser offers
+//   speak(san)                  - read a move aloud (no-op while narration is off)
+//   stop()                      - cut off anything still being spoken
+class MoveNarrator {
+    static get pieceNames() {
+        return { K: 'King', Q: 'Queen', R: 'Rook', B: 'Bishop', N: 'Knight' };
+    }
+
+    static get defaultSettings() {
+        return { enabled: false, rate: 1, voiceURI: null };
+    }
+
+    // "Nxe5+" -> "Knight takes e5, check"; "exd8=Q#" -> "e takes d8, promotes to Queen, checkmate"
+    static describe(san) {
+        const notation = String(san || '').trim();
+        const move = notation.replace(/[+#!?]/g, '');
+        const suffix = notation.includes('#') ? ', checkmate' : notation.includes('+') ? ', check' : '';
+
+        if (/^(O-O-O|0-0-0)$/.test(move)) return `Castles queenside${suffix}`;
+        if (/^(O-O|0-0)$/.test(move)) return `Castles kingside${suffix}`;
+
+        const match = move.match(/^([KQRBN])?([a-h])?([1-8])?(x)?([a-h][1-8])(?:=?([QRBN]))?$/);
+        if (!match) return notation;
+
+        const [, pieceLetter, fromFile, fromRank, capture, target, promotion] = match;
+        const words = [];
+        if (pieceLetter) words.push(this.pieceNames[pieceLetter]);
+        // Disambiguators and the file of a capturing pawn are read out as they are written
+        if (fromFile) words.push(fromFile);
+        if (fromRank) words.push(fromRank);
+        if (capture) words.push('takes');
+        words.push(target);
+
+        const promotionText = promotion ? `, promotes to ${this.pieceNames[promotion]}` : '';
+        return words.join(' ') + promotionText + suffix;
+    }
+
+    constructor() {
+        this.settings = MoveNarrator.defaultSettings;
+        try {
+            Object.assign(this.settings, JSON.parse(localStorage.getItem('moveNarration') || '{}'));
+        } catch (error) {
+            console.log('Could not read narration settings:', error);
+        }
+    }
+
+    isAvailable() {
+        return typeof window !== 'undefined' && 'speechSynthesis' in window && typeof SpeechSynthesisUtterance !== 'undefined';
+    }
+
+    updateSettings(changes) {
+        Object.assign(this.settings, changes);
+        try {
+            localStorage.setItem('moveNarration', JSON.stringify(this.settings));
+        } catch (error) {
+            console.log('Could not save narration settings:', error);
+        }
+        if (!this.settings.enabled) {
+            this.stop();
+        }
+    }
+
+    getVoices() {
+        return this.isAvailable() ? window.speechSynthesis.getVoices() : [];
+    }
+
+    // A new move interrupts the previous one, so fast replays do not queue up behind the board
+    speak(san) {
+        if (!this.settings.enabled || !this.isAvailable() || !san) return;
+
+        const utterance = new SpeechSynthesisUtterance(MoveNarrator.describe(san));
+        utterance.rate = this.settings.rate;
+        const voice = this.getVoices().find(candidate => candidate.voiceURI === this.settings.voiceURI);
+        if (voice) {
+            utterance.voice = voice;
+        }
+
+        window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(utterance);
+        console.log('🔊 Narrating:', utterance.text);
+    }
+
+    stop() {
+        if (this.isAvailable()) {
+            window.speechSynthesis.cancel();
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MoveNarrator };
+}
@@ -0,0 +1,403 @@
+// PGN (Portable Game Notation) support
+// Converts PGN text into the game structure used by games.json and custom games
+// (moves_detailed with *_from/*_to squares), replaying every move on a ChessMoveParser
+// so that an illegal or ambiguous move is reported with its move number, and writes
+// such games back out as PGN.
+class PgnConverter {
+    // Standard NAGs and the annotation symbols used in moves_detailed
+    static get nagSymbols() {
+        return { 1: '!', 2: '?', 3: '!!', 4: '??', 5: '!?', 6: '?!' };
+    }
+
+    // Parse the first game of a PGN text. Throws an Error describing the first problem found.
+    static parse(pgnText) {
+        const { tags, movetext } = this.splitGame(pgnText);
+
+        // Games from a custom position (Chess960 included) start from their FEN tag
+        if (tags.SetUp && tags.SetUp !== '0' && !tags.FEN) {
+            throw new Error('The SetUp tag requires a FEN tag with the starting position');
+        }
+        let startParser;
+        try {
+            startParser = new ChessMoveParser(tags.FEN || null);
+        } catch (error) {
+            throw new Error(`Invalid FEN tag: ${error.message}`);
+        }
+
+        const tokens = this.tokenize(movetext);
+        const gameComments = [];
+        let result = tags.Result || '*';
+
+        // One context per line being read: the main line, or a variation nested inside it
+        const mainLine = { moves: [], parser: startParser, lastMove: null, fenBeforeLastMove: null, pendingComments: [] };
+        const parentLines = [];
+        let line = mainLine;
+
+        tokens.forEach(token => {
+            if (token.type === 'comment') {
+                const { text, evaluation } = this.parseComment(token.value);
+                if (!line.lastMove) {
+                    // Comments before the first move describe the game, or the variation that follows
+                    if (text) (line === mainLine ? gameComments : line.pendingComments).push(text);
+                    return;
+                }
+                if (text) line.lastMove.commentary = line.lastMove.commentary ? `${line.lastMove.commentary} ${text}` : text;
+                if (evaluation) line.lastMove.evaluation = evaluation;
+            } else if (token.type === 'nag') {
+                if (!line.lastMove) {
+                    throw new Error(`NAG $${token.value} appears before the first move${line === mainLine ? '' : ' of a variation'}`);
+                }
+                this.addAnnotation(line.lastMove, this.nagSymbols[token.value] || `$${token.value}`);
+            } else if (token.type === 'result') {
+                result = token.value;
+            } else if (token.type === 'variationStart') {
+                // A variation replaces the last move, so it is played from the position before that move
+                if (!line.lastMove) {
+                    throw new Error('A variation "(" must follow the move it replaces');
+                }
+                const variation = { moves: [], parser: new ChessMoveParser(line.fenBeforeLastMove), lastMove: null, fenBeforeLastMove: null, pendingComments: [] };
+                line.lastMove.variations = line.lastMove.variations || [];
+                line.lastMove.variations.push(variation.moves);
+                parentLines.push(line);
+                line = variation;
+            } else if (token.type === 'variationEnd') {
+                if (parentLines.length === 0) {
+                    throw new Error('Unexpected ")" outside of a variation');
+                }
+                if (line.moves.length === 0) {
+                    throw new Error('Empty variation "()"');
+                }
+                line = parentLines.pop();
+            } else if (token.type === 'move') {
+                line.fenBeforeLastMove = line.parser.toFEN();
+                const location = line === mainLine ? `ply ${line.moves.length + 1}` : 'in a variation';
+                line.lastMove = this.applyMove(line.parser, token, location);
+                if (line.pendingComments.length > 0) {
+                    line.lastMove.commentary = line.pendingComments.join(' ');
+                    line.pendingComments = [];
+                }
+                line.moves.push(line.lastMove);
+            }
+        });
+
+        if (parentLines.length > 0) {
+            throw new Error('Unterminated variation: missing ")"');
+        }
+
+        const movesDetailed = mainLine.moves;
+        if (movesDetailed.length === 0) {
+            throw new Error('The PGN does not contain any moves');
+        }
+
+        const game = {
+            name: this.knownTag(tags.Event) || `${this.knownTag(tags.White) || 'White'} vs ${this.knownTag(tags.Black) || 'Black'}`,
+            white_player: this.knownTag(tags.White) || 'White',
+            black_player: this.knownTag(tags.Black) || 'Black',
+            result: result === '*' ? 'In progress' : result,
+            opening: this.knownTag(tags.Opening) || this.knownTag(tags.ECO) || '',
+            date: this.convertDate(tags.Date),
+            moves: movesDetailed.length,
+            moves_detailed: movesDetailed
+        };
+        if (gameComments.length > 0) {
+            game.description = gameComments.join(' ');
+        }
+        if (tags.FEN) {
+            game.fen = tags.FEN;
+        }
+        if (/960|fischerandom/i.test(tags.Variant || '')) {
+            game.variant = 'Chess960';
+        }
+
+        return game;
+    }
+
+    // Separate the tag pairs from the movetext of the first game in the text
+    static splitGame(pgnText) {
+        const tags = {};
+        const movetextLines = [];
+        const lines = String(pgnText || '').replace(/\r\n?/g, '\n').split('\n');
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+
+            // Lines starting with % are escaped and ignored by every PGN reader
+            if (trimmed.startsWith('%')) continue;
+
+            const tagMatch = trimmed.match(/^\[\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]$/);
+            if (tagMatch) {
+                // A tag section after the movetext starts the next game
+                if (movetextLines.some(text => text.trim() !== '')) break;
+                tags[tagMatch[1]] = tagMatch[2].replace(/\\(["\\])/g, '$1');
+            } else {
+                movetextLines.push(line);
+            }
+        }
+
+        return { tags, movetext: movetextLines.join('\n') };
+    }
+
+    // Split movetext into comment, nag, result, move and variation start / end tokens
+    static tokenize(movetext) {
+        const tokens = [];
+        let index = 0;
+
+        while (index < movetext.length) {
+            const char = movetext[index];
+
+            if (/\s/.test(char)) {
+                index++;
+            } else if (char === '{') {
+                const end = movetext.indexOf('}', index);
+                if (end === -1) throw new Error('Unterminated comment: missing "}"');
+                tokens.push({ type: 'comment', value: movetext.slice(index + 1, end) });
+                index = end + 1;
+            } else if (char === ';') {
+                const end = movetext.indexOf('\n', index);
+                tokens.push({ type: 'comment', value: movetext.slice(index + 1, end === -1 ? movetext.length : end) });
+                index = end === -1 ? movetext.length : end + 1;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: char === '(' ? 'variationStart' : 'variationEnd' });
+                index++;
+            } else if (char === '$') {
+                const match = movetext.slice(index).match(/^\$(\d+)/);
+                if (!match) throw new Error(`Invalid NAG near "${movetext.slice(index, index + 10)}"`);
+                tokens.push({ type: 'nag', value: parseInt(match[1]) });
+                index += match[0].length;
+            } else {
+                const match = movetext.slice(index).match(/^[^\s{}();$]+/);
+                index += match[0].length;
+                this.addWordTokens(tokens, match[0]);
+            }
+        }
+
+        return tokens;
+    }
+
+    // A word is a result, a move number, a move (with optional move number and !/? suffix), or both
+    static addWordTokens(tokens, word) {
+        if (['1-0', '0-1', '1/2-1/2', '*'].includes(word)) {
+            tokens.push({ type: 'result', value: word });
+            return;
+        }
+
+        const san = word.replace(/^\d+\.+/, '');
+        if (san === '' || san === 'e.p.') return;
+
+        const suffixMatch = san.match(/^(.*?)([!?]{1,2})$/);
+        const notation = (suffixMatch ? suffixMatch[1] : san).replace(/^0-0-0/, 'O-O-O').replace(/^0-0/, 'O-O');
+        tokens.push({ type: 'move', value: notation, suffix: suffixMatch ? suffixMatch[2] : '' });
+    }
+
+    // Play one SAN move on the parser and describe it as a moves_detailed entry
+    static applyMove(parser, token, location) {
+        const isWhite = parser.sideToMove === 'white';
+        const moveNumber = parser.fullmoveNumber;
+        const moveLabel = `${moveNumber}${isWhite ? '.' : '...'} ${token.value}`;
+
+        let move;
+        try {
+            move = parser.parseMove(token.value, isWhite);
+        } catch (error) {
+            throw new Error(`Move ${moveLabel} (${location}): ${error.message}`);
+        }
+
+        parser.updatePiecePosition(move.piece, move.source, move.target, isWhite, move.promotion || null);
+
+        const color = isWhite ? 'white' : 'black';
+        const otherColor = isWhite ? 'black' : 'white';
+        const entry = {
+            move_number: moveNumber,
+            [color]: token.value,
+            [otherColor]: null,
+            description: '',
+            [`${color}_from`]: move.source,
+            [`${color}_to`]: move.target,
+            [`${otherColor}_from`]: null,
+            [`${otherColor}_to`]: null,
+            annotation: '',
+            commentary: '',
+            isEnPassant: !!move.isEnPassant,
+            enPassantCapturedSquare: move.isEnPassant ? move.enPassantCapturedSquare : null
+        };
+        this.addAnnotation(entry, token.suffix);
+        return entry;
+    }
+
+    // Add a symbol to the move's annotation ("?!" written both as a suffix and as $6 is kept once)
+    static addAnnotation(entry, symbol) {
+        if (!symbol || entry.annotation.split(' ').includes(symbol)) return;
+        entry.annotation = entry.annotation ? `${entry.annotation} ${symbol}` : symbol;
+    }
+
+    // Pull an engine evaluation ([%eval 0.35] or [%eval #3]) out of a comment; other commands are dropped.
+    // Mates keep their side: #3 becomes M3 (White mates) and #-3 becomes -M3 (Black mates)
+    static parseComment(comment) {
+        let evaluation = null;
+        const text = comment.replace(/\[%(\w+)\s+([^\]]*)\]/g, (match, command, value) => {
+            if (command === 'eval') {
+                const score = value.trim();
+                if (score.startsWith('#')) {
+                    const mateIn = score.slice(1);
+                    evaluation = mateIn.startsWith('-') ? `-M${mateIn.slice(1)}` : `M${mateIn.replace('+', '')}`;
+                } else {
+                    evaluation = /^[-+]/.test(score) ? score : `+${score}`;
+                }
+            }
+            return '';
+        }).replace(/\s+/g, ' ').trim();
+
+        return { text, evaluation };
+    }
+
+    // PGN uses "?" for unknown tag values
+    static knownTag(value) {
+        return value && !/^\?+$/.test(value.trim()) ? value.trim() : '';
+    }
+
+    // "1925.07.??" -> "1925-07", "????.??.??" -> ""
+    static convertDate(pgnDate) {
+        if (!pgnDate) return '';
+        const parts = [];
+        for (const part of pgnDate.split('.')) {
+            if (!/^\d+$/.test(part)) break;
+            parts.push(part);
+        }
+        return parts.join('-');
+    }
+
+    // Write a game from games.json or custom games as PGN: Seven Tag Roster, then the description as a
+    // comment before the moves, and the moves with annotations as NAGs and commentary / evaluation as comments
+    static toPGN(game) {
+        const tags = [
+            ['Event', game.name || '?'],
+            ['Site', game.site || '?'],
+            ['Date', this.toPGNDate(game.date)],
+            ['Round', game.round || '?'],
+            ['White', game.white_player || '?'],
+            ['Black', game.black_player || '?'],
+            ['Result', this.toPGNResult(game.result)]
+        ];
+        if (game.opening) {
+            tags.push(['Opening', game.opening]);
+        }
+        if (game.variant) {
+            tags.push(['Variant', game.variant]);
+        }
+        if (game.fen) {
+            tags.push(['SetUp', '1'], ['FEN', game.fen]);
+        }
+
+        const tagSection = tags.map(([name, value]) => `[${name} "${String(value).replace(/[\\"]/g, '\\$&')}"]`).join('\n');
+        const description = (game.description || '').replace(/[{}]/g, '').trim();
+        const movetext = this.wrapMovetext([
+            ...(description ? [`{${description}}`] : []),
+            ...this.movetextTokens(game.moves_detailed || []),
+            this.toPGNResult(game.result)
+        ]);
+        return `${tagSection}\n\n${movetext}\n`;
+    }
+
+    static movetextTokens(movesDetailed) {
+        const tokens = [];
+        let needsMoveNumber = true;
+
+        movesDetailed.forEach(entry => {
+            ['white', 'black'].forEach(color => {
+                if (!entry[color]) return;
+
+                // Black's move needs "N..." when it does not directly follow White's move
+                if (color === 'white') {
+                    tokens.push(`${entry.move_number}.`);
+                } else if (needsMoveNumber) {
+                    tokens.push(`${entry.move_number}...`);
+                }
+                tokens.push(entry[color]);
+
+                const annotationText = [];
+                (entry.annotation || '').split(' ').filter(symbol => symbol).forEach(symbol => {
+                    const nag = Object.keys(this.nagSymbols).find(code => this.nagSymbols[code] === symbol);
+                    if (nag) {
+                        tokens.push(`$${nag}`);
+                    } else if (/^\$\d+$/.test(symbol)) {
+                        tokens.push(symbol);
+                    } else {
+                        annotationText.push(symbol);
+                    }
+                });
+
+                const comment = [
+                    entry.evaluation ? `[%eval ${entry.evaluation.replace(/^([-+]?)M/, '#$1')}]` : '',
+                    ...annotationText,
+                    entry.commentary || ''
+                ].map(text => text.replace(/[{}]/g, '').trim()).filter(text => text).join(' ');
+                if (comment) {
+                    tokens.push(`{${comment}}`);
+                }
+
+                needsMoveNumber = color === 'black' || !!comment;
+
+                // Alternatives to this move follow it in parentheses
+                (entry.variations || []).forEach(variation => {
+                    const variationTokens = this.movetextTokens(variation);
+                    if (variationTokens.length === 0) return;
+                    variationTokens[0] = `(${variationTokens[0]}`;
+                    variationTokens[variationTokens.length - 1] += ')';
+                    tokens.push(...variationTokens);
+                    needsMoveNumber = true;
+                });
+            });
+        });
+
+        return tokens;
+    }
+
+    // Keep movetext lines under 80 characters, as the PGN standard recommends
+    static wrapMovetext(tokens) {
+        const lines = [];
+        let line = '';
+        tokens.join(' ').split(/\s+/).forEach(word => {
+            if (line && line.length + word.length + 1 > 79) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        });
+        if (line) lines.push(line);
+        return lines.join('\n');
+    }
+
+    // "White wins" / "Black wins" / "Draw" as used in games.json, or a PGN result
+    static toPGNResult(result) {
+        const results = { 'White wins': '1-0', 'Black wins': '0-1', 'Draw': '1/2-1/2' };
+        if (results[result]) return results[result];
+        return ['1-0', '0-1', '1/2-1/2'].includes(result) ? result : '*';
+    }
+
+    // "2025-10-23" -> "2025.10.23", "Paris, 1925" -> "1925.??.??", unknown -> "????.??.??"
+    static toPGNDate(date) {
+        const match = String(date || '').match(/\b(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?\b/);
+        if (!match || /^\d{4}s/.test(String(date).slice(match.index))) return '????.??.??';
+        return [match[1], match[2] || '??', match[3] || '??'].join('.');
+    }
+
+    // Offer a game as a .pgn file download in the browser
+    static download(game) {
+        const fileName = (game.name || game.id || 'game').replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'game';
+        const blob = new Blob([this.toPGN(game)], { type: 'application/x-chess-pgn' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${fileName}.pgn`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        console.log(`📥 Downloaded ${fileName}.pgn`);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PgnConverter };
+}
@@ -0,0 +1,236 @@
+// Per-color and per-piece-type visibility for the trainers (games.html and puzzles.html)
+// On top of the visual mode, every piece type of either color can be shown, masked
+// (drawn as a plain dot, so only its square is known) or hidden, e.g. to hide all pawns
+// or only the opponent's pieces. The matrix is a UI preference, so it is kept in
+// localStorage, under a key of its own for every user who signs in on the browser.
+//
+// API (piece images are file names such as 'Chess_klt45.svg.png')
+//   PieceVisibility.colors / pieceTypes - ['white', 'black'] / ['K', 'Q', 'R', 'B', 'N', 'P']
+//   PieceVisibility.pieceOf(image)      - { color, type } of a piece image, or null
+//   new PieceVisibility()               - the matrix saved for the signed-in user (or guest)
+//   matrix                              - { white: { K: 'show', ... }, black: { ... } }
+//   load()                              - read the matrix again, e.g. after signing in
+//   get(color, type)                    - 'show', 'mask' or 'hide'
+//   getForImage(image)                  - the same for a piece image ('show' for anything else)
+//   set(color, type, value)             - change one cell and save
+//   cycle(color, type)                  - show -> mask -> hide -> show, saved; returns the new value
+//   applyPreset(name)                   - 'showAll', 'hidePawns', 'hideWhite' or 'hideBlack', saved
+//   isDefault()                         - whether every piece is shown
+//
+// DOM glue shared by both trainers (the styles are in piece-visibility.css)
+//   mountControls(container, onChange)  - build the toggle button, the matrix and the presets in container;
+//                                         onChange() is called after every change, to redraw the board
+//   applyToPiece(element)               - draw a piece element masked or hidden as set; its
+//                                         dataset.originalPiece holds the piece image
+class PieceVisibility {
+    static get colors() {
+        return ['white', 'black'];
+    }
+
+    static get pieceTypes() {
+        return ['K', 'Q', 'R', 'B', 'N', 'P'];
+    }
+
+    static get values() {
+        return ['show', 'mask', 'hide'];
+    }
+
+    // 'Chess_nlt45.svg.png' -> { color: 'white', type: 'N' }
+    static pieceOf(image) {
+        const match = String(image || '').match(/Chess_([kqrbnp])([ld])t45/);
+        if (!match) return null;
+        return { color: match[2] === 'l' ? 'white' : 'black', type: match[1].toUpperCase() };
+    }
+
+    static defaultMatrix() {
+        const matrix = {};
+        this.colors.forEach(color => {
+            matrix[color] = {};
+            this.pieceTypes.forEach(type => {
+                matrix[color][type] = 'show';
+            });
+        });
+        return matrix;
+    }
+
+    constructor() {
+        this.load();
+    }
+
+    getStorageKey() {
+        let user = null;
+        try {
+            user = localStorage.getItem('userEmail');
+        } catch (error) {
+            console.log('Could not read the signed-in user:', error);
+        }
+        return `pieceVisibility:${user || 'guest'}`;
+    }
+
+    load() {
+        this.matrix = PieceVisibility.defaultMatrix();
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.getStorageKey()) || '{}');
+            // Only take over known cells, so an old or edited entry cannot break the board
+            PieceVisibility.colors.forEach(color => {
+                PieceVisibility.pieceTypes.forEach(type => {
+                    const value = saved[color] && saved[color][type];
+                    if (PieceVisibility.values.includes(value)) {
+                        this.matrix[color][type] = value;
+                    }
+                });
+            });
+        } catch (error) {
+            console.log('Could not read piece visibility settings:', error);
+        }
+        return this.matrix;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.getStorageKey(), JSON.stringify(this.matrix));
+        } catch (error) {
+            console.log('Could not save piece visibility settings:', error);
+        }
+    }
+
+    get(color, type) {
+        return (this.matrix[color] && this.matrix[color][type]) || 'show';
+    }
+
+    getForImage(image) {
+        const piece = PieceVisibility.pieceOf(image);
+        return piece ? this.get(piece.color, piece.type) : 'show';
+    }
+
+    set(color, type, value) {
+        if (!this.matrix[color] || !(type in this.matrix[color])) {
+            throw new Error(`Unknown piece: ${color} ${type}`);
+        }
+        if (!PieceVisibility.values.includes(value)) {
+            throw new Error(`Unknown visibility: ${value}`);
+        }
+        this.matrix[color][type] = value;
+        this.save();
+    }
+
+    cycle(color, type) {
+        const values = PieceVisibility.values;
+        const next = values[(values.indexOf(this.get(color, type)) + 1) % values.length];
+        this.set(color, type, next);
+        return next;
+    }
+
+    applyPreset(name) {
+        if (!['showAll', 'hidePawns', 'hideWhite', 'hideBlack'].includes(name)) {
+            throw new Error(`Unknown preset: ${name}`);
+        }
+        const matrix = PieceVisibility.defaultMatrix();
+        PieceVisibility.colors.forEach(color => {
+            PieceVisibility.pieceTypes.forEach(type => {
+                if ((name === 'hidePawns' && type === 'P') ||
+                    (name === 'hideWhite' && color === 'white') ||
+                    (name === 'hideBlack' && color === 'black')) {
+                    matrix[color][type] = 'hide';
+                }
+            });
+        });
+        this.matrix = matrix;
+        this.save();
+    }
+
+    isDefault() {
+        return PieceVisibility.colors.every(color =>
+            PieceVisibility.pieceTypes.every(type => this.get(color, type) === 'show'));
+    }
+
+    mountControls(container, onChange = () => {}) {
+        const labels = { show: 'Show', mask: 'Dot', hide: 'Hide' };
+        const presets = { showAll: 'Show all', hidePawns: 'Hide pawns', hideWhite: 'Hide white', hideBlack: 'Hide black' };
+
+        const toggleButton = document.createElement('button');
+        toggleButton.type = 'button';
+        toggleButton.className = 'piece-visibility-toggle';
+        toggleButton.textContent = '👁 Piece visibility';
+
+        const panel = document.createElement('div');
+        panel.className = 'piece-visibility-panel';
+        const grid = document.createElement('div');
+        const presetButtons = document.createElement('div');
+        presetButtons.className = 'piece-visibility-presets';
+        panel.appendChild(grid);
+        panel.appendChild(presetButtons);
+
+        const renderGrid = () => {
+            grid.innerHTML = '';
+            PieceVisibility.colors.forEach(color => {
+                const row = document.createElement('div');
+                row.className = 'piece-visibility-row';
+                row.innerHTML = `<span>${color === 'white' ? 'White' : 'Black'}</span>`;
+
+                PieceVisibility.pieceTypes.forEach(type => {
+                    const value = this.get(color, type);
+                    const cell = document.createElement('button');
+                    cell.type = 'button';
+                    cell.className = `piece-visibility-cell ${value}`;
+                    cell.style.backgroundImage = `url('pieces/Chess_${type.toLowerCase()}${color === 'white' ? 'l' : 'd'}t45.svg.png')`;
+                    cell.textContent = labels[value];
+                    cell.title = `${color} ${type}: click to show, mask as a dot or hide`;
+                    cell.addEventListener('click', () => {
+                        this.cycle(color, type);
+                        renderGrid();
+                        onChange();
+                    });
+                    row.appendChild(cell);
+                });
+                grid.appendChild(row);
+            });
+            toggleButton.classList.toggle('customized', !this.isDefault());
+        };
+
+        Object.keys(presets).forEach(name => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = presets[name];
+            button.addEventListener('click', () => {
+                this.applyPreset(name);
+                renderGrid();
+                onChange();
+            });
+            presetButtons.appendChild(button);
+        });
+
+        toggleButton.addEventListener('click', () => {
+            const open = panel.style.display !== 'block';
+            if (open) {
+                // Someone may have signed in since the page loaded
+                this.load();
+                renderGrid();
+                onChange();
+            }
+            panel.style.display = open ? 'block' : 'none';
+        });
+
+        container.innerHTML = '';
+        container.appendChild(toggleButton);
+        container.appendChild(panel);
+        renderGrid();
+    }
+
+    // The matrix comes on top of the visual mode: a masked piece is drawn as a dot, a hidden one not at all
+    applyToPiece(element) {
+        const visibility = this.getForImage(element.dataset.originalPiece);
+        if (visibility === 'hide') {
+            element.style.opacity = '0';
+        } else if (visibility === 'mask') {
+            element.style.backgroundImage = `url('images/dot.png')`;
+            element.style.backgroundSize = '80%';
+            element.style.backgroundRepeat = 'no-repeat';
+            element.style.backgroundPosition = 'center';
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PieceVisibility };
+}
@@ -70,6 +70,14 @@ class ProgressTracker {
             puzzleChallengeCompletions: [],
             // Puzzles completed in challenge/test mode (from "By Difficulty" tab)
             puzzleChallengeCompletions: [],
+            // How each challenge/test run went (peeks used, ...), most recent last
+            challengeRuns: [],
+            // Games and puzzles completed in challenge/test mode without a single peek
+            cleanChallengeCompletions: [],
+            // Answers to the position checkpoint quizzes, most recent last
+            checkpointResults: [],
+            // Answers to the board-vision drills (drills.html), most recent last
+            drillResults: [],
             
             // Skill Metrics
             accuracy: 0,
@@ -445,7 +453,14 @@ class ProgressTracker {
     // Record a game completion
     // type: 'game' or 'puzzle' - determines which array to add to
     // inChallengeMode: true if completed in test/challenge mode
-    recordGameCompletion(difficulty = 'intermediate', gameId = null, type = 'game', inChallengeMode = false) {
+    // challengeRun: how the challenge went (challenge mode only): peeks and peekBudget, plus the
+    // ChallengeScore summary - per-move wrong tries, hints and times, their totals, accuracy and score -
+    // and the segment that was recalled ({ fromMove, toMove } entry indexes) when the test did not start at move one
+    recordGameCompletion(difficulty = 'intermediate', gameId = null, type = 'game', inChallengeMode = false, challengeRun = null) {
+        // A test started later in the game is kept as a run of its segment, but does not complete the challenge
+        const isPartialRun = !!(challengeRun && challengeRun.segment && challengeRun.segment.fromMove > 0);
+        const completesChallenge = inChallengeMode && !isPartialRun;
+        
         this.userProgress.totalGamesPlayed++;
         this.userProgress.gamesByDifficulty[difficulty]++;
         
@@ -457,7 +472,7 @@ class ProgressTracker {
         }
         
         // Track challenge mode completions separately (for "By Moves" games only)
-        if (inChallengeMode && gameId && type === 'game') {
+        if (completesChallenge && gameId && type === 'game') {
             if (!this.userProgress.challengeModeCompletions.includes(gameId)) {
                 this.userProgress.challengeModeCompletions.push(gameId);
                 console.log(`✅ Added game to challenge mode completions:`, gameId);
@@ -470,12 +485,12 @@ class ProgressTracker {
                 inChallengeMode,
                 gameId,
                 type,
-                reason: !inChallengeMode ? 'not in challenge mode' : type !== 'game' ? 'not a game' : 'no gameId'
+                reason: !inChallengeMode ? 'not in challenge mode' : isPartialRun ? 'partial run' : type !== 'game' ? 'not a game' : 'no gameId'
             });
         }
         
         // Track puzzle challenge mode completions (for "By Difficulty" puzzles only)
-        if (inChallengeMode && gameId && type === 'puzzle') {
+        if (completesChallenge && gameId && type === 'puzzle') {
             if (!this.userProgress.puzzleChallengeCompletions) {
                 this.userProgress.puzzleChallengeCompletions = [];
             }
@@ -485,15 +500,134 @@ class ProgressTracker {
             }
         }
         
+        // Keep how the run went, so a clean blind run can be told from a peeked one
+        if (inChallengeMode && gameId && challengeRun) {
+            this.recordChallengeRun(gameId, type, challengeRun);
+        }
+        
         // Streak is now only updated on daily login, not on game completion
         this.saveUserProgress();
         
         // Also save to Supabase (source of truth)
-        this.saveToSupabase(type, gameId, inChallengeMode);
+        this.saveToSupabase(type, gameId, completesChallenge);
         
         this.checkForNewAchievements();
     }
     
+    // Record one challenge/test run; a run without hints is hint-free, and one without peeks
+    // or hints is a clean blind run
+    recordChallengeRun(gameId, type, challengeRun) {
+        const run = {
+            id: gameId,
+            type: type,
+            completedAt: new Date().toISOString(),
+            ...challengeRun,
+            hintFree: !challengeRun.hints,
+            clean: !challengeRun.peeks && !challengeRun.hints
+        };
+        
+        if (!this.userProgress.challengeRuns) {
+            this.userProgress.challengeRuns = [];
+        }
+        this.userProgress.challengeRuns.push(run);
+        // Only the recent runs are kept locally, Supabase keeps a longer history
+        this.userProgress.challengeRuns = this.userProgress.challengeRuns.slice(-100);
+        
+        if (!this.userProgress.cleanChallengeCompletions) {
+            this.userProgress.cleanChallengeCompletions = [];
+        }
+        if (run.clean && !this.userProgress.cleanChallengeCompletions.includes(gameId)) {
+            this.userProgress.cleanChallengeCompletions.push(gameId);
+        }
+        
+        console.log(run.clean ? '🙈 Clean blind run:' : `👀 Run with ${run.peeks || 0} peek(s) and ${run.hints || 0} hint(s):`, run);
+        
+        if (typeof window !== 'undefined' && typeof window.saveChallengeRun === 'function') {
+            window.saveChallengeRun(run).catch(error => console.error('Error saving challenge run:', error));
+        }
+        return run;
+    }
+    
+    // Record the answer to a position checkpoint quiz
+    // result: { gameId, moveIndex, type, correct } - moveIndex is how many entries had been played
+    recordCheckpointResult(result) {
+        const entry = { ...result, answeredAt: new Date().toISOString() };
+        
+        if (!this.userProgress.checkpointResults) {
+            this.userProgress.checkpointResults = [];
+        }
+        this.userProgress.checkpointResults.push(entry);
+        // Only the recent answers are kept locally, Supabase keeps a longer history
+        this.userProgress.checkpointResults = this.userProgress.checkpointResults.slice(-500);
+        this.saveUserProgress();
+        
+        console.log(entry.correct ? '✅ Checkpoint answered correctly:' : '❌ Checkpoint answered wrongly:', entry);
+        
+        if (typeof window !== 'undefined' && typeof window.saveCheckpointResults === 'function') {
+            window.saveCheckpointResults([entry]).catch(error => console.error('Error saving checkpoint result:', error));
+        }
+        return entry;
+    }
+    
+    // How well board memory holds up over game length: checkpoint accuracy per stretch of
+    // bucketSize entries, e.g. [{ fromMove: 0, toMove: 9, asked: 4, correct: 3, accuracy: 75 }, ...]
+    getCheckpointAccuracyByLength(bucketSize = 10) {
+        const buckets = {};
+        (this.userProgress.checkpointResults || []).forEach(result => {
+            const bucket = Math.floor(result.moveIndex / bucketSize);
+            buckets[bucket] = buckets[bucket] || { asked: 0, correct: 0 };
+            buckets[bucket].asked++;
+            if (result.correct) buckets[bucket].correct++;
+        });
+        
+        return Object.keys(buckets).map(Number).sort((a, b) => a - b).map(bucket => ({
+            fromMove: bucket * bucketSize,
+            toMove: (bucket + 1) * bucketSize - 1,
+            asked: buckets[bucket].asked,
+            correct: buckets[bucket].correct,
+            accuracy: Math.round(buckets[bucket].correct / buckets[bucket].asked * 100)
+        }));
+    }
+    
+    // Record the answer to a board-vision drill
+    // result: { type, correct, timeMs } - type is one of BoardDrills.types
+    recordDrillResult(result) {
+        const entry = { ...result, answeredAt: new Date().toISOString() };
+        
+        if (!this.userProgress.drillResults) {
+            this.userProgress.drillResults = [];
+        }
+        this.userProgress.drillResults.push(entry);
+        // Only the recent answers are kept locally, Supabase keeps a longer history
+        this.userProgress.drillResults = this.userProgress.drillResults.slice(-500);
+        this.saveUserProgress();
+        
+        console.log(entry.correct ? '✅ Drill answered correctly:' : '❌ Drill answered wrongly:', entry);
+        
+        if (typeof window !== 'undefined' && typeof window.saveDrillResults === 'function') {
+            window.saveDrillResults([entry]).catch(error => console.error('Error saving drill result:', error));
+        }
+        return entry;
+    }
+    
+    // Drill results per type: { knightPath: { attempts, correct, accuracy, averageTimeMs }, ... }
+    getDrillStats() {
+        const stats = {};
+        (this.userProgress.drillResults || []).forEach(result => {
+            const typeStats = stats[result.type] = stats[result.type] || { attempts: 0, correct: 0, totalTimeMs: 0 };
+            typeStats.attempts++;
+            typeStats.totalTimeMs += result.timeMs || 0;
+            if (result.correct) typeStats.correct++;
+        });
+        
+        Object.values(stats).forEach(typeStats => {
+            typeStats.accuracy = Math.round(typeStats.correct / typeStats.attempts * 100);
+            typeStats.averageTimeMs = Math.round(typeStats.totalTimeMs / typeStats.attempts);
+            delete typeStats.totalTimeMs;
+        });
+        return stats;
+    }
+    
     // Save progress to Supabase
     // CRITICAL: Only save the specific game/puzzle that was just completed, not all games
     async saveToSupabase(completedType = 'game', gameId = null, inChallengeMode = false) {
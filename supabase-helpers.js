@@ -266,6 +266,69 @@ async function saveUserProgress(progressData) {
     return true;
 }
 
+// How many entries each progress history column keeps (the oldest are dropped first)
+const PROGRESS_ENTRIES_LIMIT = 1000;
+
+/**
+ * Append entries to a JSONB array column of the user's progress (challenge_runs, checkpoint_results, drill_results)
+ * Kept apart from saveUserProgress so that a missing column cannot affect the other progress data.
+ * The append runs in the database (append_progress_entries, see create-append-progress-entries-function.sql),
+ * so concurrent appends cannot lose each other's entries, and the column keeps the last PROGRESS_ENTRIES_LIMIT entries
+ */
+async function appendProgressEntries(column, entries) {
+    const supabase = getSupabase();
+    if (!supabase) {
+        console.error('Supabase not initialized');
+        return false;
+    }
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+        console.log('No user logged in');
+        return false;
+    }
+
+    const { data: appended, error } = await supabase.rpc('append_progress_entries', {
+        column_name: column,
+        new_entries: entries,
+        max_entries: PROGRESS_ENTRIES_LIMIT
+    });
+
+    if (error) {
+        console.error(`Error saving ${column}:`, error);
+        return false;
+    }
+    if (!appended) {
+        // No progress row yet: it is created by saveUserProgress, not here
+        console.log(`⚠️ No progress row yet, ${column} not saved`);
+        return false;
+    }
+
+    console.log(`✅ Saved ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} to ${column}`);
+    return true;
+}
+
+/**
+ * Append one challenge/test run (peeks used, ...) to the user's challenge_runs
+ */
+async function saveChallengeRun(run) {
+    return appendProgressEntries('challenge_runs', [run]);
+}
+
+/**
+ * Append checkpoint quiz answers ({ gameId, moveIndex, type, correct, ... }) to the user's checkpoint_results
+ */
+async function saveCheckpointResults(results) {
+    return appendProgressEntries('checkpoint_results', results);
+}
+
+/**
+ * Append board-vision drill answers ({ type, correct, timeMs, ... }) to the user's drill_results
+ */
+async function saveDrillResults(results) {
+    return appendProgressEntries('drill_results', results);
+}
+
 /**
  * Test function to check if we can connect to the database
  */
@@ -983,6 +1046,9 @@ async function createPaymentRecord(paymentData) {
 // Make functions available globally
 window.getUserProgress = getUserProgress;
 window.saveUserProgress = saveUserProgress;
+window.saveChallengeRun = saveChallengeRun;
+window.saveCheckpointResults = saveCheckpointResults;
+window.saveDrillResults = saveDrillResults;
 window.testDatabaseConnection = testDatabaseConnection;
 window.saveCustomGame = saveCustomGame;
 window.getUserCustomGames = getUserCustomGames;
@@ -0,0 +1,54 @@
+// Unit tests for board-drills.js (run with: npm test)
+// custom-games.js provides the square helpers, so it is loaded first, as drills.html does.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers.js';
+
+const { BoardDrills } = loadScripts(['custom-games.js', 'board-drills.js'], { window: {} });
+
+test('squareColor knows light and dark squares', () => {
+    assert.equal(BoardDrills.squareColor('a1'), 'dark');
+    assert.equal(BoardDrills.squareColor('h1'), 'light');
+    assert.equal(BoardDrills.squareColor('g5'), 'dark');
+    assert.equal(BoardDrills.squareColor('d1'), 'light');
+});
+
+test('knightDistance finds the shortest knight route', () => {
+    assert.equal(BoardDrills.knightDistance('b1', 'c3'), 1);
+    assert.equal(BoardDrills.knightDistance('b1', 'h8'), 5);
+    assert.equal(BoardDrills.knightDistance('a1', 'h8'), 6);
+    assert.equal(BoardDrills.knightDistance('a1', 'b2'), 4);
+    assert.equal(BoardDrills.knightDistance('e4', 'e4'), 0);
+    assert.deepEqual([...BoardDrills.knightMoves('a1')].sort(), ['b3', 'c2']);
+});
+
+test('knight path answers must be a shortest route of knight jumps', () => {
+    const drill = BoardDrills.createDrill('knightPath', () => 0);
+    assert.equal(drill.from, 'a8');
+    assert.equal(drill.to, 'b8');
+    assert.equal(drill.answer, 3);
+
+    assert.equal(BoardDrills.isCorrect(drill, ['c7', 'a6', 'b8']), true);
+    assert.equal(BoardDrills.isCorrect(drill, ['b6', 'd7', 'b8']), true);
+    assert.equal(BoardDrills.isCorrect(drill, ['c7', 'b8']), false);
+    assert.equal(BoardDrills.isCorrect(drill, ['c7', 'a6', 'c7', 'b8']), false);
+    assert.equal(BoardDrills.isCorrect(drill, ['c7', 'b7', 'b8']), false);
+});
+
+test('bishopSquares lists both diagonals, and answers must name all of them', () => {
+    assert.deepEqual([...BoardDrills.bishopSquares('c1')], ['a3', 'b2', 'd2', 'e3', 'f4', 'g5', 'h6']);
+
+    const drill = BoardDrills.createDrill('bishopSquares', () => 0);
+    assert.equal(drill.square, 'a8');
+    assert.equal(BoardDrills.isCorrect(drill, ['h1', 'g2', 'f3', 'e4', 'd5', 'c6', 'b7']), true);
+    assert.equal(BoardDrills.isCorrect(drill, ['g2', 'f3', 'e4', 'd5', 'c6', 'b7']), false);
+    assert.equal(BoardDrills.isCorrect(drill, ['h1', 'g2', 'f3', 'e4', 'd5', 'c6', 'b7', 'a7']), false);
+});
+
+test('square color drills take the color as their answer', () => {
+    const drill = BoardDrills.createDrill('squareColor', () => 0);
+    assert.equal(drill.prompt, 'What color is a8?');
+    assert.equal(BoardDrills.isCorrect(drill, 'light'), true);
+    assert.equal(BoardDrills.isCorrect(drill, 'dark'), false);
+    assert.throws(() => BoardDrills.createDrill('rookTour'), /Unknown drill type/);
+});
@@ -0,0 +1,202 @@
+// Unit tests for board-state.js (run with: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { loadScripts, plain, rootDir } from './helpers.js';
+
+const { ChessMoveParser, BoardState } = loadScripts(['chess-move-parser.js', 'board-state.js']);
+
+function createBoardState(game = null) {
+    const boardState = new BoardState(new ChessMoveParser());
+    boardState.reset(game);
+    return boardState;
+}
+
+// Build moves_detailed entries from SAN, filling in the squares the way saved games store them
+function entriesFromSAN(sanMoves, fen = null) {
+    const parser = new ChessMoveParser(fen);
+    return sanMoves.map(san => {
+        const color = parser.sideToMove;
+        const move = parser.parseMove(san, color === 'white');
+        const entry = { move_number: parser.fullmoveNumber, [color]: san, [`${color}_from`]: move.source, [`${color}_to`]: move.target };
+        parser.updatePiecePosition(move.piece, move.source, move.target, color === 'white', move.promotion || null);
+        return entry;
+    });
+}
+
+test('standardPosition has all 32 pieces on their home squares', () => {
+    const position = BoardState.standardPosition;
+    assert.equal(Object.keys(position).length, 32);
+    assert.equal(position.e1, 'Chess_klt45.svg.png');
+    assert.equal(position.d8, 'Chess_qdt45.svg.png');
+    assert.equal(position.g7, 'Chess_pdt45.svg.png');
+});
+
+test('positionFromFEN reads the pieces of a FEN and rejects invalid ones', () => {
+    const position = BoardState.positionFromFEN('8/8/8/8/8/6k1/1r6/6K1 b - - 0 1');
+    assert.deepEqual(plain(position), { g3: 'Chess_kdt45.svg.png', b2: 'Chess_rdt45.svg.png', g1: 'Chess_klt45.svg.png' });
+    assert.throws(() => BoardState.positionFromFEN('8/8/8 w - - 0 1'), /Invalid FEN/);
+});
+
+test('getInitialPosition prefers the FEN, then initial_position, then the standard position', () => {
+    const boardState = createBoardState();
+    assert.equal(Object.keys(boardState.getInitialPosition({ fen: '4k3/8/8/8/8/8/8/4K3 w - - 0 1' })).length, 2);
+    assert.deepEqual(plain(boardState.getInitialPosition({ initial_position: { e4: 'Chess_klt45.svg.png' } })), { e4: 'Chess_klt45.svg.png' });
+    assert.equal(Object.keys(boardState.getInitialPosition({ fen: 'not a fen' })).length, 32);
+    assert.equal(Object.keys(boardState.getInitialPosition(null)).length, 32);
+});
+
+test('reset falls back to the standard position when the FEN is invalid', () => {
+    const boardState = createBoardState({ fen: '4k3/8/8/8/8/8/8/4K3 b - - 0 1' });
+    assert.equal(boardState.parser.sideToMove, 'black');
+
+    boardState.reset({ fen: 'not a fen' });
+    assert.equal(boardState.parser.toFEN(), 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1');
+});
+
+test('getStartIndex only skips entries already contained in a FEN', () => {
+    const boardState = createBoardState();
+    assert.equal(boardState.getStartIndex({ initial_move_index: 4 }), 0);
+    assert.equal(boardState.getStartIndex({ fen: '4k3/8/8/8/8/8/8/4K3 w - - 0 1', initial_move_index: 4 }), 4);
+    assert.equal(boardState.getStartIndex(null), 0);
+});
+
+test('applyMove returns a single change for a normal move and updates the parser', () => {
+    const boardState = createBoardState();
+    const [e4] = entriesFromSAN(['e4']);
+
+    assert.deepEqual(plain(boardState.applyMove(e4)), [{ from: 'e2', to: 'e4', piece: 'Chess_plt45.svg.png' }]);
+    assert.equal(boardState.parser.sideToMove, 'black');
+    assert.equal(boardState.getPosition().e4, 'Chess_plt45.svg.png');
+});
+
+test('applyMove moves the rook as well when castling, on either side', () => {
+    const boardState = createBoardState();
+    const entries = entriesFromSAN(['e4', 'e5', 'Nf3', 'Nc6', 'Bc4', 'd6', 'O-O', 'Be6', 'd3', 'Qd7', 'Nc3', 'O-O-O']);
+    const changes = entries.map(entry => plain(boardState.applyMove(entry)));
+
+    assert.deepEqual(changes[6], [
+        { from: 'e1', to: 'g1', piece: 'Chess_klt45.svg.png' },
+        { from: 'h1', to: 'f1', piece: 'Chess_rlt45.svg.png' }
+    ]);
+    assert.deepEqual(changes[11], [
+        { from: 'e8', to: 'c8', piece: 'Chess_kdt45.svg.png' },
+        { from: 'a8', to: 'd8', piece: 'Chess_rdt45.svg.png' }
+    ]);
+});
+
+test('applyMove handles Chess960 castling where king and rook swap squares', () => {
+    const fen = '4k3/8/8/8/8/8/8/2RK4 w C - 0 1';
+    const boardState = createBoardState({ fen });
+    const [castling] = entriesFromSAN(['O-O-O'], fen);
+
+    assert.equal(castling.white_to, 'c1');
+    assert.deepEqual(plain(boardState.applyMove(castling)), [
+        { from: 'd1', to: 'c1', piece: 'Chess_klt45.svg.png' },
+        { from: 'c1', to: 'd1', piece: 'Chess_rlt45.svg.png' }
+    ]);
+    assert.equal(boardState.parser.board.c1, 'K');
+    assert.equal(boardState.parser.board.d1, 'R');
+});
+
+test('applyMove removes the pawn taken en passant', () => {
+    const boardState = createBoardState();
+    const entries = entriesFromSAN(['e4', 'a6', 'e5', 'd5', 'exd6']);
+    entries.slice(0, 4).forEach(entry => boardState.applyMove(entry));
+
+    assert.deepEqual(plain(boardState.applyMove(entries[4])), [
+        { from: 'e5', to: 'd6', piece: 'Chess_plt45.svg.png' },
+        { remove: 'd5' }
+    ]);
+    assert.equal(boardState.getPosition().d5, undefined);
+});
+
+test('applyMove lands a promoting pawn as its new piece', () => {
+    const fen = '4k3/1P6/8/8/8/8/8/4K3 w - - 0 1';
+    const boardState = createBoardState({ fen });
+    const [promotion] = entriesFromSAN(['b8=N'], fen);
+
+    assert.deepEqual(plain(boardState.applyMove(promotion)), [{ from: 'b7', to: 'b8', piece: 'Chess_nlt45.svg.png' }]);
+    assert.equal(boardState.parser.board.b8, 'N');
+});
+
+test('an entry that is illegal in the position is not resolved, and applyMove leaves the position alone', () => {
+    const boardState = createBoardState();
+    const illegal = { white: 'Nf6', white_from: 'g1', white_to: 'f3' };
+    assert.equal(boardState.resolveMove(illegal), null);
+    assert.equal(boardState.resolveMove({ white: 'Zz9' }), null);
+
+    const fen = boardState.parser.toFEN();
+    assert.equal(boardState.applyMove(illegal), null);
+    assert.equal(boardState.parser.toFEN(), fen);
+
+    // A replay skips the entry and goes on with the rest
+    const game = { moves_detailed: [illegal, ...entriesFromSAN(['e4']).map(entry => ({ ...entry, move_number: 1 }))] };
+    assert.equal(boardState.goToMove(game, 2).e4, 'Chess_plt45.svg.png');
+});
+
+test('getMoveSquares uses the stored squares, or the target of the notation without them', () => {
+    const boardState = createBoardState();
+    assert.deepEqual(plain(boardState.getMoveSquares({ black: 'Qh4#', black_from: 'd8', black_to: 'h4' })),
+        { from: 'd8', to: 'h4', isWhite: false, notation: 'Qh4#' });
+    assert.deepEqual(plain(boardState.getMoveSquares({ white: 'Rb8#' })), { from: null, to: 'b8', isWhite: true, notation: 'Rb8#' });
+    assert.equal(boardState.getMoveSquares({ move_number: 1 }), null);
+});
+
+test('getValidTargets only accepts the piece that plays the next move', () => {
+    const boardState = createBoardState();
+    const game = { moves_detailed: entriesFromSAN(['f3', 'e5']) };
+
+    assert.deepEqual(plain(boardState.getValidTargets(game, 0, 'f2')), ['f3']);
+    assert.deepEqual(plain(boardState.getValidTargets(game, 0, 'e2')), []);
+    assert.deepEqual(plain(boardState.getValidTargets(game, 2, 'e7')), []);
+});
+
+test('goToMove replays from the FEN and skips the entries it already contains', () => {
+    const fen = '6k1/5ppp/8/8/8/8/5PPP/R5K1 w - - 0 1';
+    const game = { fen, initial_move_index: 1, moves_detailed: [{ move_number: 1, black: 'h6' }, ...entriesFromSAN(['Ra8#'], fen)] };
+    const boardState = createBoardState();
+
+    const position = boardState.goToMove(game, 2);
+    assert.equal(position.a8, 'Chess_rlt45.svg.png');
+    assert.equal(position.a1, undefined);
+    assert.equal(position.h7, 'Chess_pdt45.svg.png');
+});
+
+test('goToMove replays a library game to its final position', () => {
+    const games = JSON.parse(fs.readFileSync(path.join(rootDir, 'games/games.json'), 'utf8')).games;
+    const foolsMate = games.find(game => game.id === 'fools-mate');
+    const boardState = createBoardState();
+
+    const position = boardState.goToMove(foolsMate, foolsMate.moves_detailed.length);
+    assert.equal(position.h4, 'Chess_qdt45.svg.png');
+    assert.equal(position.d8, undefined);
+    assert.equal(boardState.parser.isInCheck(true), true);
+});
+
+test('getLastMoves reports which entry last moved each piece', () => {
+    const game = { moves_detailed: entriesFromSAN(['e4', 'e5', 'Nf3', 'Nc6', 'Bc4', 'Nd4', 'Nxd4', 'exd4', 'O-O']) };
+    const boardState = createBoardState();
+
+    const lastMoves = boardState.getLastMoves(game, 9);
+    assert.equal(lastMoves.e4, 0);
+    assert.equal(lastMoves.d4, 7);
+    assert.equal(lastMoves.g1, 8);
+    assert.equal(lastMoves.f1, 8);
+    assert.equal(lastMoves.a1, -1);
+    assert.equal(lastMoves.f3, undefined);
+    assert.equal(Object.keys(lastMoves).length, Object.keys(boardState.getPosition()).length);
+});
+
+test('comparePositions scores a rebuilt position square by square', () => {
+    const expected = { e1: 'K', e8: 'k', d1: 'Q', a2: 'P' };
+    const result = plain(BoardState.comparePositions(expected, { e1: 'K', e8: 'k', d2: 'Q', a2: 'B' }));
+
+    assert.deepEqual(result.squares.map(entry => `${entry.square}:${entry.status}`),
+        ['a2:wrong', 'd1:missing', 'd2:extra', 'e1:correct', 'e8:correct']);
+    assert.equal(result.correct, 2);
+    assert.equal(result.total, 4);
+    assert.equal(result.score, 40);
+    assert.equal(BoardState.comparePositions(expected, Object.assign({}, expected)).score, 100);
+});
@@ -0,0 +1,59 @@
+// Unit tests for challenge-score.js (run with: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts, plain } from './helpers.js';
+
+const { ChallengeScore } = loadScripts(['challenge-score.js']);
+
+test('a run without mistakes or hints scores 100', () => {
+    const score = new ChallengeScore();
+    score.startMove(1000);
+    score.completeMove(0, 4000);
+    score.completeMove(1, 5000);
+
+    const summary = score.summary();
+    assert.equal(summary.movesPlayed, 2);
+    assert.equal(summary.totalTimeMs, 4000);
+    assert.equal(summary.averageMoveTimeMs, 2000);
+    assert.equal(summary.accuracy, 100);
+    assert.equal(summary.score, 100);
+});
+
+test('wrong tries lower the accuracy and hints are taken off the score', () => {
+    const score = new ChallengeScore();
+    score.startMove(0);
+    score.wrongTry(0);
+    score.hint(0, 1);
+    score.hint(0, 2);
+    score.completeMove(0, 3000);
+    score.completeMove(1, 4000);
+
+    const summary = plain(score.summary());
+    assert.equal(summary.wrongTries, 1);
+    assert.equal(summary.hints, 2);
+    assert.equal(summary.hintPenalty, 3);
+    assert.equal(summary.accuracy, 67);
+    assert.equal(summary.score, 64);
+    assert.deepEqual(summary.moves[0], { moveIndex: 0, wrongTries: 1, hints: 2, hintPenalty: 3, timeMs: 3000 });
+});
+
+test('moves played by the game are not timed, and the clock restarts when asked', () => {
+    const score = new ChallengeScore();
+    score.startMove(0);
+    score.completeMove(0, 2000);
+    // The game answers with entry 1, then a checkpoint question is asked
+    score.startMove(9000);
+    score.completeMove(2, 10000);
+
+    const summary = plain(score.summary());
+    assert.deepEqual(summary.moves.map(move => move.moveIndex), [0, 2]);
+    assert.equal(summary.totalTimeMs, 3000);
+});
+
+test('the score never goes below 0', () => {
+    const score = new ChallengeScore();
+    score.startMove(0);
+    for (let i = 0; i < 30; i++) score.hint(0, 4);
+    score.completeMove(0, 1000);
+    assert.equal(score.summary().score, 0);
+});
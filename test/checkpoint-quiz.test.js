@@ -0,0 +1,74 @@
+// Unit tests for checkpoint-quiz.js (run with: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers.js';
+
+const { ChessMoveParser, CheckpointQuiz } = loadScripts(['chess-move-parser.js', 'checkpoint-quiz.js']);
+
+// Always picks the first candidate
+const first = () => 0;
+
+test('isCheckpoint stops every interval, but not at the start or the end', () => {
+    assert.equal(CheckpointQuiz.isCheckpoint(10, 10, 40), true);
+    assert.equal(CheckpointQuiz.isCheckpoint(15, 10, 40), false);
+    assert.equal(CheckpointQuiz.isCheckpoint(0, 10, 40), false);
+    assert.equal(CheckpointQuiz.isCheckpoint(40, 10, 40), false);
+    assert.equal(CheckpointQuiz.isCheckpoint(10, 0, 40), false);
+});
+
+test('locate questions accept every square of the piece asked for', () => {
+    const parser = new ChessMoveParser('4k3/8/8/8/8/8/8/1N3N1K w - - 0 1');
+    const question = CheckpointQuiz.createQuestion(parser, 'locate', () => 0.5);
+
+    assert.equal(question.piece, 'N');
+    assert.equal(question.prompt, 'Click a square with a White knight');
+    assert.equal(CheckpointQuiz.isCorrect(question, 'b1'), true);
+    assert.equal(CheckpointQuiz.isCorrect(question, 'f1'), true);
+    assert.equal(CheckpointQuiz.isCorrect(question, 'h1'), false);
+});
+
+test('attacked questions are answered from the position', () => {
+    const parser = new ChessMoveParser('4k3/8/8/8/8/8/8/R3K3 w - - 0 1');
+    const question = CheckpointQuiz.createQuestion(parser, 'attacked', first);
+
+    assert.equal(question.byColor, 'white');
+    assert.equal(question.answer, parser.isSquareAttacked(question.square, 'white'));
+    assert.equal(question.answer, true);
+    assert.match(question.prompt, /^Is [a-h][1-8] attacked by White\?$/);
+    assert.equal(CheckpointQuiz.isCorrect(question, true), true);
+    assert.equal(CheckpointQuiz.isCorrect(question, false), false);
+});
+
+test('occupant questions expect the piece letter, or nothing for an empty square', () => {
+    const parser = new ChessMoveParser('4k3/8/8/8/8/8/8/4K3 w - - 0 1');
+    const occupied = CheckpointQuiz.createQuestion(parser, 'occupant', first);
+    assert.equal(occupied.answer, parser.board[occupied.square]);
+    assert.equal(occupied.prompt, `What's on ${occupied.square}?`);
+
+    const empty = CheckpointQuiz.createQuestion(parser, 'occupant', () => 0.9);
+    assert.equal(empty.answer, '');
+    assert.equal(CheckpointQuiz.isCorrect(empty, ''), true);
+    assert.equal(CheckpointQuiz.isCorrect(empty, 'K'), false);
+
+    assert.throws(() => CheckpointQuiz.createQuestion(parser, 'colour'), /Unknown question type/);
+});
+
+test('typed answers are read into the form isCorrect takes', () => {
+    const locate = { type: 'locate', answer: ['e4'] };
+    assert.equal(CheckpointQuiz.parseTypedAnswer(locate, ' E4 '), 'e4');
+    assert.equal(CheckpointQuiz.parseTypedAnswer(locate, 'e9'), null);
+
+    const attacked = { type: 'attacked', answer: true };
+    assert.equal(CheckpointQuiz.parseTypedAnswer(attacked, 'Yes'), true);
+    assert.equal(CheckpointQuiz.parseTypedAnswer(attacked, 'n'), false);
+    assert.equal(CheckpointQuiz.parseTypedAnswer(attacked, 'maybe'), null);
+
+    const occupant = { type: 'occupant', answer: 'n' };
+    assert.equal(CheckpointQuiz.parseTypedAnswer(occupant, 'Black knight'), 'n');
+    assert.equal(CheckpointQuiz.parseTypedAnswer(occupant, 'white N'), 'N');
+    assert.equal(CheckpointQuiz.parseTypedAnswer(occupant, 'n'), 'n');
+    assert.equal(CheckpointQuiz.parseTypedAnswer(occupant, 'Q'), 'Q');
+    assert.equal(CheckpointQuiz.parseTypedAnswer(occupant, 'empty'), '');
+    assert.equal(CheckpointQuiz.parseTypedAnswer(occupant, 'knight'), null);
+    assert.equal(CheckpointQuiz.parseTypedAnswer(occupant, ''), null);
+});
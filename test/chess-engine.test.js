@@ -0,0 +1,48 @@
+// Unit tests for chess-engine.js (run with: npm test)
+// The engine searches on chess-move-parser.js, so the parser is loaded first, as games.html does.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers.js';
+
+const { ChessMoveParser, ChessEngine } = loadScripts(['chess-move-parser.js', 'chess-engine.js']);
+
+const noNoise = () => 0;
+
+test('every level plays a legal move and leaves the parser as it was', () => {
+    ChessEngine.levels.forEach(level => {
+        const parser = new ChessMoveParser('r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3');
+        const fen = parser.toFEN();
+        const historyLength = parser.positionHistory.length;
+
+        const move = new ChessEngine(level.id).chooseMove(parser);
+        const legalMoves = parser.generateLegalMoves(true);
+        assert.ok(legalMoves.some(legal => legal.source === move.source && legal.target === move.target), `${level.id}: ${move.source}-${move.target}`);
+        assert.equal(parser.toFEN(), fen);
+        assert.equal(parser.positionHistory.length, historyLength);
+    });
+    assert.throws(() => new ChessEngine('grandmaster'), /Unknown engine level/);
+});
+
+test('the engine takes a hanging queen', () => {
+    const parser = new ChessMoveParser('rnb1kbnr/pppp1ppp/8/4p3/7q/5N2/PPPPPPPP/RNBQKB1R w KQkq - 0 3');
+    const move = new ChessEngine('casual').chooseMove(parser, noNoise);
+    assert.equal(`${move.source}${move.target}`, 'f3h4');
+});
+
+test('the engine mates in one, with either color', () => {
+    const white = new ChessMoveParser('6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1');
+    const whiteMove = new ChessEngine('casual').chooseMove(white, noNoise);
+    assert.equal(`${whiteMove.source}${whiteMove.target}`, 'a1a8');
+
+    const black = new ChessMoveParser('7K/8/6k1/8/8/8/8/r7 b - - 0 1');
+    const blackMove = new ChessEngine('club').chooseMove(black, noNoise);
+    assert.equal(`${blackMove.source}${blackMove.target}`, 'a1a8');
+});
+
+test('checkmated or stalemated sides have no move, and the evaluation counts material', () => {
+    const mated = new ChessMoveParser('R5k1/5ppp/8/8/8/8/8/6K1 b - - 1 1');
+    assert.equal(new ChessEngine('club').chooseMove(mated), null);
+
+    assert.equal(ChessEngine.evaluate(new ChessMoveParser()), 0);
+    assert.ok(ChessEngine.evaluate(new ChessMoveParser('rnb1kbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1')) > 800);
+});
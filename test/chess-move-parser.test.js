@@ -0,0 +1,221 @@
+// Unit tests for chess-move-parser.js: FEN, disambiguation, draws, Chess960 castling and typed move entry (run with: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers.js';
+
+const { ChessMoveParser } = loadScripts(['chess-move-parser.js']);
+
+// Play SAN moves on the parser and return the parsed moves
+function play(parser, sanMoves) {
+    return sanMoves.map(san => {
+        const isWhite = parser.sideToMove === 'white';
+        const move = parser.parseMove(san, isWhite);
+        parser.updatePiecePosition(move.piece, move.source, move.target, isWhite, move.promotion || null);
+        return move;
+    });
+}
+
+test('chess960FEN numbers the 960 starting positions, with 518 the standard one', () => {
+    assert.equal(ChessMoveParser.chess960FEN(518), 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1');
+    assert.equal(ChessMoveParser.chess960FEN(0), 'bbqnnrkr/pppppppp/8/8/8/8/PPPPPPPP/BBQNNRKR w KQkq - 0 1');
+
+    const placements = new Set();
+    for (let number = 0; number < 960; number++) {
+        placements.add(ChessMoveParser.chess960FEN(number).split(' ')[0]);
+    }
+    assert.equal(placements.size, 960);
+    assert.throws(() => ChessMoveParser.chess960FEN(960), /0-959/);
+});
+
+test('the standard position is not Chess960 and keeps KQkq', () => {
+    const parser = new ChessMoveParser();
+    assert.equal(parser.chess960, false);
+    assert.equal(new ChessMoveParser(parser.toFEN()).getCastlingField(), 'KQkq');
+});
+
+test('loadFEN reads KQkq and rook files (Shredder-FEN) for Chess960 castling rooks', () => {
+    const parser = new ChessMoveParser('bbqnnrkr/pppppppp/8/8/8/8/PPPPPPPP/BBQNNRKR w KQkq - 0 1');
+    assert.equal(parser.chess960, true);
+    assert.equal(parser.getCastlingField(), 'HFhf');
+    assert.equal(new ChessMoveParser(parser.toFEN()).toFEN(), parser.toFEN());
+    assert.throws(() => new ChessMoveParser('4k3/8/8/8/8/8/8/4K3 w KK - 0 1'), /castling field/);
+});
+
+test('Chess960 castling moves king and rook to the g/f or c/d files', () => {
+    const parser = new ChessMoveParser('4k3/8/8/8/8/8/8/RK5R w HA - 0 1');
+    const castling = parser.generateLegalMoves(true).filter(move => move.isCastling);
+    assert.deepEqual([...castling.map(move => `${move.source}-${move.target}`)].sort(), ['b1-a1', 'b1-h1']);
+
+    play(parser, ['O-O-O']);
+    assert.equal(parser.board.c1, 'K');
+    assert.equal(parser.board.d1, 'R');
+    assert.equal(parser.board.h1, 'R');
+    assert.equal(parser.getCastlingField(), '-');
+});
+
+test('Chess960 castling works when the king already stands on its destination', () => {
+    const parser = new ChessMoveParser('4k3/8/8/8/8/8/8/6KR w H - 0 1');
+    const [move] = play(parser, ['O-O']);
+    assert.equal(`${move.source}-${move.target}`, 'g1-h1');
+    assert.equal(parser.board.g1, 'K');
+    assert.equal(parser.board.f1, 'R');
+    assert.equal(parser.board.h1, undefined);
+});
+
+test('Chess960 castling is illegal when the moving rook was shielding the king', () => {
+    // After O-O-O the king stands on c1 and the rook on d1, exposed to the rook on a1
+    const parser = new ChessMoveParser('4k3/8/8/8/8/8/8/rR3K2 w B - 0 1');
+    assert.equal(parser.generateLegalMoves(true).some(move => move.isCastling), false);
+    assert.throws(() => parser.parseMove('O-O-O', true), /castling is not legal/);
+});
+
+test('moving a castling rook only gives up castling on its side', () => {
+    const parser = new ChessMoveParser('nrkbbqrn/pppppppp/8/8/8/8/PPPPPPPP/NRKBBQRN w GBgb - 0 1');
+    play(parser, ['g3', 'g6', 'Rg2']);
+    assert.equal(parser.getCastlingField(), 'Bgb');
+});
+
+test('parseTypedMove accepts SAN and long algebraic notation', () => {
+    const parser = new ChessMoveParser();
+    for (const typed of ['Nf3', 'g1f3', 'Ng1-f3', ' g1-f3+ ']) {
+        const move = parser.parseTypedMove(typed, true);
+        assert.equal(`${move.source}-${move.target}`, 'g1-f3');
+    }
+
+    const promotion = new ChessMoveParser('4k3/1P6/8/8/8/8/8/4K3 w - - 0 1').parseTypedMove('b7b8n', true);
+    assert.equal(promotion.promotion, 'N');
+});
+
+test('parseTypedMove tells typos, illegal and ambiguous moves apart', () => {
+    const parser = new ChessMoveParser();
+    assert.throws(() => parser.parseTypedMove('Nf9', true), /Invalid move notation/);
+    assert.throws(() => parser.parseTypedMove('', true), /Type a move/);
+    assert.throws(() => parser.parseTypedMove('e2e5', true), /pawn on e2 cannot legally move to e5/);
+    assert.throws(() => parser.parseTypedMove('e7e5', true), /no white piece on e7/);
+    assert.throws(() => parser.parseTypedMove('Bg1f3', true), /piece on g1 is a knight/);
+
+    const knights = new ChessMoveParser('4k3/8/8/8/8/8/8/1N3N1K w - - 0 1');
+    assert.throws(() => knights.parseTypedMove('Nd2', true), /Ambiguous move/);
+    assert.equal(knights.parseTypedMove('Nbd2', true).source, 'b1');
+});
+
+test('parseTypedMove accepts moves typed in lowercase', () => {
+    const parser = new ChessMoveParser();
+    assert.equal(parser.parseTypedMove('nf3', true).source, 'g1');
+    assert.equal(parser.parseTypedMove('ng1-f3', true).target, 'f3');
+    assert.throws(() => parser.parseTypedMove('nf9', true), /Invalid move notation/);
+
+    const castling = new ChessMoveParser('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+    assert.equal(castling.parseTypedMove('o-o', true).isLong, false);
+    assert.equal(castling.parseTypedMove('0-0-0', true).isLong, true);
+    assert.equal(castling.parseTypedMove('o-o-o', false).isLong, true);
+
+    assert.equal(new ChessMoveParser('4k3/1P6/8/8/8/8/8/4K3 w - - 0 1').parseTypedMove('b8=q+', true).promotion, 'Q');
+    assert.equal(new ChessMoveParser('2r1k3/1P6/8/8/8/8/8/4K3 w - - 0 1').parseTypedMove('bxc8=n', true).promotion, 'N');
+
+    // A lowercase b is the pawn when the pawn move is legal (bxc3 is legal for both), and the bishop otherwise
+    const bishopOrPawn = new ChessMoveParser('4k3/8/8/8/8/2p5/1P6/4B1K1 w - - 0 1');
+    assert.equal(bishopOrPawn.parseTypedMove('bxc3', true).piece, 'P');
+    assert.equal(bishopOrPawn.parseTypedMove('Bxc3', true).piece, 'B');
+    assert.equal(bishopOrPawn.parseTypedMove('bd2', true).piece, 'B');
+});
+
+test('loadFEN and toFEN round-trip every field', () => {
+    [
+        'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+        'rnbqkbnr/pp1ppppp/8/2p5/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 1 2',
+        'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w Kq f6 0 3',
+        '8/8/4k3/8/8/4K3/8/8 b - - 37 81'
+    ].forEach(fen => assert.equal(new ChessMoveParser(fen).toFEN(), fen));
+
+    // Missing move counters default to 0 and 1
+    assert.equal(new ChessMoveParser('4k3/8/8/8/8/8/8/4K3 w - -').toFEN(), '4k3/8/8/8/8/8/8/4K3 w - - 0 1');
+
+    const parser = new ChessMoveParser();
+    play(parser, ['e4']);
+    assert.equal(parser.toFEN(), 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1');
+    play(parser, ['Nf6', 'Ke2']);
+    assert.equal(parser.toFEN(), 'rnbqkb1r/pppppppp/5n2/8/4P3/8/PPPPKPPP/RNBQ1BNR b kq - 2 2');
+});
+
+test('loadFEN rejects invalid FENs and keeps the current position', () => {
+    const parser = new ChessMoveParser();
+    const start = parser.toFEN();
+    [
+        ['rnbqkbnr/pppppppp/44/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', /two empty-square counts in a row/],
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBN w KQkq - 0 1', /describes 7 squares/],
+        ['rnbqkbnr/pppppppp/9/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', /unknown piece "9"/],
+        ['rnbqkbnr/pppppppp/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', /must have 8 ranks/],
+        ['4k3/8/8/8/8/8/8/4K2K w - - 0 1', /exactly one white king/],
+        ['4k3/8/8/8/8/8/8/P3K3 w - - 0 1', /first or last rank/],
+        ['4k3/8/8/8/8/8/8/4K3 x - - 0 1', /side to move/],
+        ['4k3/8/8/8/8/8/8/4K3 w KK - 0 1', /castling field/],
+        ['4k3/8/8/8/8/8/8/4K3 w - e4 0 1', /en passant field/],
+        ['4k3/8/8/8/8/8/8/4K3 w - - 0 0', /move counters/],
+        ['4k3/8/8/8/8/8/8/4K3 w', /4 to 6 space-separated fields/]
+    ].forEach(([fen, message]) => {
+        assert.throws(() => parser.loadFEN(fen), message, fen);
+        assert.equal(parser.toFEN(), start);
+    });
+});
+
+test('parseMove resolves disambiguated moves and rejects ambiguous ones', () => {
+    const rooks = new ChessMoveParser('1k6/8/8/R7/8/8/8/R3K3 w - - 0 1');
+    assert.throws(() => rooks.parseMove('Ra3', true), /Ambiguous move "Ra3" for white: rooks on a5, a1/);
+    assert.equal(rooks.parseMove('R1a3', true).source, 'a1');
+    assert.equal(rooks.parseMove('R5a3', true).source, 'a5');
+
+    // Three queens reach e1: only file and rank together name one of them
+    const queens = new ChessMoveParser('1k6/8/8/8/4Q2Q/8/K7/7Q w - - 0 1');
+    assert.throws(() => queens.parseMove('Qe1', true), /Ambiguous/);
+    assert.throws(() => queens.parseMove('Qhe1', true), /Ambiguous/);
+    assert.throws(() => queens.parseMove('Q4e1', true), /Ambiguous/);
+    assert.equal(queens.parseMove('Qh4e1', true).source, 'h4');
+    assert.equal(queens.parseMove('Qee1', true).source, 'e4');
+
+    // A pinned knight does not make Nd2 ambiguous
+    const pinned = new ChessMoveParser('4r1k1/8/8/8/4N3/8/8/1N2K3 w - - 0 1');
+    assert.equal(pinned.parseMove('Nd2', true).source, 'b1');
+    assert.throws(() => pinned.parseMove('Ned2', true), /no knight can legally move to d2/);
+});
+
+test('getDrawReason detects threefold repetition', () => {
+    const parser = new ChessMoveParser();
+    play(parser, ['Nf3', 'Nf6', 'Ng1', 'Ng8', 'Nf3', 'Nf6', 'Ng1']);
+    assert.equal(parser.getDrawReason(), null);
+    play(parser, ['Ng8']);
+    assert.equal(parser.getDrawReason(), 'threefold repetition');
+});
+
+test('getDrawReason applies the 50-move rule until a pawn moves or a piece is taken', () => {
+    const parser = new ChessMoveParser('4k3/p7/8/8/8/8/7R/4K3 w - - 99 80');
+    assert.equal(parser.getDrawReason(), null);
+    play(parser, ['Rb2']);
+    assert.equal(parser.getDrawReason(), '50-move rule');
+
+    const reset = new ChessMoveParser('4k3/p7/8/8/8/8/7R/4K3 b - - 99 80');
+    play(reset, ['a6']);
+    assert.equal(reset.halfmoveClock, 0);
+    assert.equal(reset.getDrawReason(), null);
+});
+
+test('getDrawReason detects insufficient material', () => {
+    [
+        '4k3/8/8/8/8/8/8/4K3 w - - 0 1',
+        '4k3/8/8/8/8/8/8/2N1K3 w - - 0 1',
+        '4k3/8/8/8/8/8/8/2B1K3 w - - 0 1',
+        '2b1k3/8/8/8/8/8/8/3BK3 w - - 0 1'
+    ].forEach(fen => assert.equal(new ChessMoveParser(fen).getDrawReason(), 'insufficient material', fen));
+
+    [
+        '3bk3/8/8/8/8/8/8/3BK3 w - - 0 1',
+        '4k3/8/8/8/8/8/8/1NN1K3 w - - 0 1',
+        '4k3/8/8/8/8/8/P7/4K3 w - - 0 1',
+        '4k3/8/8/8/8/8/8/R3K3 w - - 0 1'
+    ].forEach(fen => assert.equal(new ChessMoveParser(fen).getDrawReason(), null, fen));
+
+    // Taking the last piece that could mate ends the game
+    const capture = new ChessMoveParser('4k3/8/8/8/8/8/3q4/4K3 w - - 0 1');
+    play(capture, ['Kxd2']);
+    assert.equal(capture.getDrawReason(), 'insufficient material');
+});
@@ -0,0 +1,28 @@
+// Shared helpers for the unit tests (run with: npm test)
+// The browser scripts are classic scripts, so they are run in a vm context in the order the pages load
+// them, the same way validate-games.js loads the parser.
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+
+export const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Run the scripts, in order, in a fresh context holding a silent console, Math and the given globals.
+// Returns what the scripts export through their module.exports guard, e.g. { ChessMoveParser, GameLoader }
+export function loadScripts(fileNames, globals = {}) {
+    const context = vm.createContext({ console: { log() {}, warn() {}, error() {} }, Math, ...globals });
+    const exported = {};
+    fileNames.forEach(fileName => {
+        context.module = { exports: {} };
+        vm.runInContext(fs.readFileSync(path.join(rootDir, fileName), 'utf8'), context, { filename: fileName });
+        Object.assign(exported, context.module.exports);
+    });
+    delete context.module;
+    return exported;
+}
+
+// Values built inside the vm context have its own prototypes, so compare plain copies
+export function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
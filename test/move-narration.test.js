@@ -0,0 +1,26 @@
+// Unit tests for move-narration.js (run with: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers.js';
+
+const { MoveNarrator } = loadScripts(['move-narration.js']);
+
+test('describe reads piece moves and captures', () => {
+    assert.equal(MoveNarrator.describe('Nf3'), 'Knight f3');
+    assert.equal(MoveNarrator.describe('Nxe5+'), 'Knight takes e5, check');
+    assert.equal(MoveNarrator.describe('Qh4#'), 'Queen h4, checkmate');
+    assert.equal(MoveNarrator.describe('Rad1'), 'Rook a d1');
+});
+
+test('describe reads pawn moves, promotions and castling', () => {
+    assert.equal(MoveNarrator.describe('e4'), 'e4');
+    assert.equal(MoveNarrator.describe('exd5'), 'e takes d5');
+    assert.equal(MoveNarrator.describe('exd8=Q#'), 'e takes d8, promotes to Queen, checkmate');
+    assert.equal(MoveNarrator.describe('O-O'), 'Castles kingside');
+    assert.equal(MoveNarrator.describe('O-O-O+'), 'Castles queenside, check');
+});
+
+test('describe ignores annotations and passes unknown text through', () => {
+    assert.equal(MoveNarrator.describe('Bb5!?'), 'Bishop b5');
+    assert.equal(MoveNarrator.describe('resigns'), 'resigns');
+});
@@ -0,0 +1,136 @@
+// Unit tests for pgn.js (run with: npm test)
+// PgnConverter replays the moves on chess-move-parser.js, so the parser is loaded first, as games.html does.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts, plain } from './helpers.js';
+
+const { PgnConverter } = loadScripts(['chess-move-parser.js', 'pgn.js']);
+
+const annotatedGame = `[Event "Casual game"]
+[Site "Paris"]
+[Date "1925.07.??"]
+[White "Alpha \\"The Bold\\""]
+[Black "Beta"]
+[Result "0-1"]
+[Opening "King's Pawn"]
+
+{A quiet start} 1. e4! $1 e5 {[%eval 0.35] Solid} 2. Nf3 (2. f4 exf4 3. Nf3 (3. Bc4 Qh4+)) 2... Nc6 $6
+3. Bc4 $14 {[%eval #-3]} Nd4 {[%eval #2]} 0-1`;
+
+test('parse reads the tags, the game comment and the moves with their squares', () => {
+    const game = PgnConverter.parse(annotatedGame);
+    assert.equal(game.name, 'Casual game');
+    assert.equal(game.white_player, 'Alpha "The Bold"');
+    assert.equal(game.black_player, 'Beta');
+    assert.equal(game.result, '0-1');
+    assert.equal(game.opening, "King's Pawn");
+    assert.equal(game.date, '1925-07');
+    assert.equal(game.description, 'A quiet start');
+    assert.equal(game.moves, 6);
+    assert.deepEqual(plain(game.moves_detailed.map(entry => [entry.move_number, entry.white || entry.black])),
+        [[1, 'e4'], [1, 'e5'], [2, 'Nf3'], [2, 'Nc6'], [3, 'Bc4'], [3, 'Nd4']]);
+    assert.equal(game.moves_detailed[3].black_from, 'b8');
+    assert.equal(game.moves_detailed[3].black_to, 'c6');
+});
+
+test('NAGs and move suffixes become annotations, each symbol kept once', () => {
+    const entries = PgnConverter.parse(annotatedGame).moves_detailed;
+    assert.equal(entries[0].annotation, '!');
+    assert.equal(entries[3].annotation, '?!');
+    assert.equal(entries[4].annotation, '$14');
+});
+
+test('evaluations keep their sign, mates included', () => {
+    const entries = PgnConverter.parse(annotatedGame).moves_detailed;
+    assert.equal(entries[1].evaluation, '+0.35');
+    assert.equal(entries[1].commentary, 'Solid');
+    assert.equal(entries[4].evaluation, '-M3');
+    assert.equal(entries[5].evaluation, 'M2');
+
+    const pgn = PgnConverter.toPGN(PgnConverter.parse(annotatedGame));
+    assert.match(pgn, /\{\[%eval #-3\]\}/);
+    assert.match(pgn, /\{\[%eval #2\]\}/);
+    assert.match(pgn, /\{\[%eval \+0\.35\] Solid\}/);
+});
+
+test('variations are played from the position before the move they replace, nested ones included', () => {
+    const nf3 = PgnConverter.parse(annotatedGame).moves_detailed[2];
+    assert.equal(nf3.variations.length, 1);
+    const variation = nf3.variations[0];
+    assert.deepEqual(plain(variation.map(entry => entry.white || entry.black)), ['f4', 'exf4', 'Nf3']);
+    assert.equal(variation[1].black_to, 'f4');
+    assert.deepEqual(plain(variation[2].variations[0].map(entry => entry.white || entry.black)), ['Bc4', 'Qh4+']);
+    assert.equal(variation[2].variations[0][1].black_from, 'd8');
+});
+
+test('toPGN writes the Seven Tag Roster, NAGs and variations, and parses back to the same game', () => {
+    const game = PgnConverter.parse(annotatedGame);
+    const pgn = PgnConverter.toPGN(game);
+
+    assert.ok(pgn.startsWith([
+        '[Event "Casual game"]',
+        '[Site "?"]',
+        '[Date "1925.07.??"]',
+        '[Round "?"]',
+        '[White "Alpha \\"The Bold\\""]',
+        '[Black "Beta"]',
+        '[Result "0-1"]',
+        '[Opening "King\'s Pawn"]',
+        '',
+        '{A quiet start} 1. e4 $1 e5'
+    ].join('\n')), pgn);
+    // Black's reply after a variation gets its move number again
+    assert.match(pgn.replace(/\s+/g, ' '), /2\. Nf3 \(2\. f4 exf4 3\. Nf3 \(3\. Bc4 Qh4\+\)\) 2\.\.\. Nc6 \$6 3\. Bc4 \$14/);
+    assert.match(pgn, /0-1\n$/);
+
+    assert.deepEqual(plain(PgnConverter.parse(pgn)), plain(game));
+});
+
+test('games from a FEN round-trip, with Black moving first', () => {
+    const fen = 'r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 2 2';
+    const game = PgnConverter.parse(`[SetUp "1"]\n[FEN "${fen}"]\n\n2... Nf6 3. Nxe5 *`);
+    assert.equal(game.fen, fen);
+    assert.equal(game.result, 'In progress');
+    assert.equal(game.moves_detailed[0].black, 'Nf6');
+
+    const pgn = PgnConverter.toPGN(game);
+    assert.match(pgn, /\[SetUp "1"\]\n\[FEN "r1bqkbnr/);
+    assert.match(pgn, /\n\n2\.\.\. Nf6 3\. Nxe5 \*\n$/);
+    assert.deepEqual(plain(PgnConverter.parse(pgn)), plain(game));
+});
+
+test('tokenize reads comments, NAGs, variations, move numbers and results', () => {
+    const tokens = plain(PgnConverter.tokenize('12. 0-0 {a {brace} ; comment\n12... Nf6?? $4 ( 12... a6 ) 1/2-1/2'));
+    assert.deepEqual(tokens.map(token => token.type),
+        ['move', 'comment', 'comment', 'move', 'nag', 'variationStart', 'move', 'variationEnd', 'result']);
+    assert.equal(tokens[0].value, 'O-O');
+    assert.equal(tokens[1].value, 'a {brace');
+    assert.equal(tokens[2].value, ' comment');
+    assert.deepEqual(tokens[3], { type: 'move', value: 'Nf6', suffix: '??' });
+    assert.equal(tokens[4].value, 4);
+    assert.equal(tokens[8].value, '1/2-1/2');
+
+    assert.throws(() => PgnConverter.tokenize('1. e4 {never closed'), /Unterminated comment/);
+    assert.throws(() => PgnConverter.tokenize('1. e4 $x'), /Invalid NAG/);
+});
+
+test('parse reports illegal moves with their move number, and broken variations', () => {
+    assert.throws(() => PgnConverter.parse('1. e4 e5 2. Ke3'), /Move 2\. Ke3 \(ply 3\)/);
+    assert.throws(() => PgnConverter.parse('1. e4 (1. d4 d5'), /Unterminated variation/);
+    assert.throws(() => PgnConverter.parse('1. e4 )'), /Unexpected "\)"/);
+    assert.throws(() => PgnConverter.parse('[Result "*"]\n\n*'), /does not contain any moves/);
+});
+
+test('wrapMovetext keeps lines under 80 characters without changing the words', () => {
+    const tokens = [];
+    for (let moveNumber = 1; moveNumber <= 40; moveNumber++) {
+        tokens.push(`${moveNumber}.`, 'Nf3', 'Nf6', `{a comment\nover two lines}`);
+    }
+    const text = PgnConverter.wrapMovetext(tokens);
+    const lines = text.split('\n');
+
+    assert.ok(lines.length > 1);
+    lines.forEach(line => assert.ok(line.length <= 79, line));
+    assert.equal(lines.join(' '), tokens.join(' ').replace(/\s+/g, ' '));
+    assert.equal(PgnConverter.wrapMovetext(['1.', 'e4', '*']), '1. e4 *');
+});
@@ -0,0 +1,67 @@
+// Unit tests for piece-visibility.js (run with: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts, plain } from './helpers.js';
+
+// A fresh context per test, with a localStorage backed by a plain object
+function loadPieceVisibility(storage = {}) {
+    const localStorage = {
+        getItem: key => (key in storage ? storage[key] : null),
+        setItem: (key, value) => { storage[key] = String(value); }
+    };
+    return loadScripts(['piece-visibility.js'], { localStorage }).PieceVisibility;
+}
+
+test('pieceOf reads color and type from a piece image', () => {
+    const PieceVisibility = loadPieceVisibility();
+    assert.deepEqual(plain(PieceVisibility.pieceOf('Chess_nlt45.svg.png')), { color: 'white', type: 'N' });
+    assert.deepEqual(plain(PieceVisibility.pieceOf('pieces/Chess_pdt45.svg.png')), { color: 'black', type: 'P' });
+    assert.equal(PieceVisibility.pieceOf('images/dot.png'), null);
+});
+
+test('every piece is shown until the matrix is changed', () => {
+    const PieceVisibility = loadPieceVisibility();
+    const visibility = new PieceVisibility();
+    assert.equal(visibility.isDefault(), true);
+    assert.equal(visibility.getForImage('Chess_qdt45.svg.png'), 'show');
+    assert.equal(visibility.getForImage('images/dot.png'), 'show');
+
+    assert.equal(visibility.cycle('black', 'Q'), 'mask');
+    assert.equal(visibility.cycle('black', 'Q'), 'hide');
+    assert.equal(visibility.getForImage('Chess_qdt45.svg.png'), 'hide');
+    assert.equal(visibility.getForImage('Chess_qlt45.svg.png'), 'show');
+    assert.equal(visibility.cycle('black', 'Q'), 'show');
+    assert.throws(() => visibility.set('white', 'X', 'hide'), /Unknown piece/);
+    assert.throws(() => visibility.set('white', 'K', 'blur'), /Unknown visibility/);
+});
+
+test('presets hide whole colors or all pawns', () => {
+    const PieceVisibility = loadPieceVisibility();
+    const visibility = new PieceVisibility();
+
+    visibility.applyPreset('hidePawns');
+    assert.equal(visibility.get('white', 'P'), 'hide');
+    assert.equal(visibility.get('black', 'P'), 'hide');
+    assert.equal(visibility.get('black', 'N'), 'show');
+
+    visibility.applyPreset('hideWhite');
+    assert.equal(visibility.get('white', 'K'), 'hide');
+    assert.equal(visibility.get('black', 'P'), 'show');
+    assert.throws(() => visibility.applyPreset('hideEverything'), /Unknown preset/);
+});
+
+test('the matrix is saved separately for every signed-in user', () => {
+    const storage = { userEmail: 'first@example.com' };
+    const PieceVisibility = loadPieceVisibility(storage);
+    new PieceVisibility().set('white', 'R', 'mask');
+    assert.equal(new PieceVisibility().get('white', 'R'), 'mask');
+
+    storage.userEmail = 'second@example.com';
+    assert.equal(new PieceVisibility().get('white', 'R'), 'show');
+
+    delete storage.userEmail;
+    storage['pieceVisibility:guest'] = JSON.stringify({ white: { R: 'hide', K: 'invisible' } });
+    const guest = new PieceVisibility();
+    assert.equal(guest.get('white', 'R'), 'hide');
+    assert.equal(guest.get('white', 'K'), 'show');
+});
@@ -0,0 +1,211 @@
+// Trainer Board
+// Move logic shared by the trainer pages (games.html and puzzles.html): stepping through a game's
+// moves_detailed entries and keeping the board in step with boardState (board-state.js).
+// Only the drawing stays in the pages, so both trainers play moves the same way.
+// generateCoordinateLabels is shared with drills.html as well, which loads this script only for it.
+//
+// Uses the page's globals: currentGame, currentMoveIndex, boardState, isChallengeMode,
+// validMoves, draggedFromSquare and boardFlipped; and its drawing functions: clearSelection,
+// setupInitialPosition, reinitializeDragAndDrop, createDraggablePiece, movePiece, animateExistingPiece,
+// getSquareByNotation, playSound, highlightCurrentMove, updateMoveButtons, showLastMoveCheck,
+// removeLastMoveCheck, showCompletionIndicator and checkChallengeProgress.
+//
+// Optional page hooks, called when the page defines them:
+//   afterBoardPositionUpdate()           - after the board has been redrawn at currentMoveIndex
+//   afterMoveExecuted(move, notation)    - after the next move has been played and currentMoveIndex moved on
+
+// Function to calculate valid moves for the piece being dragged
+function calculateValidMoves() {
+    // Only the piece that plays the game's next move may move, and only to that move's square
+    validMoves = boardState.getValidTargets(currentGame, currentMoveIndex, draggedFromSquare);
+
+    if (validMoves.length === 0) {
+        console.log('Wrong piece or no move left! Dragged from', draggedFromSquare);
+        return;
+    }
+    console.log('Valid moves set to:', validMoves);
+}
+
+// Function to play a moves_detailed entry on the board, drawing the changes worked out by boardState
+// (the rook when castling and the pawn taken en passant included)
+function applyMove(move, animate = false, enableSound = true) {
+    if (!move.white && !move.black) return;
+
+    console.log('Applying move:', move.white || move.black, 'isWhite:', !!move.white);
+
+    const changes = boardState.applyMove(move);
+    if (!changes) return;
+
+    changes.forEach((change, index) => {
+        if (change.remove) {
+            const capturedSquare = getSquareByNotation(change.remove);
+            if (capturedSquare) {
+                capturedSquare.innerHTML = '';
+            }
+        } else if (index > 0 && change.from === changes[0].to) {
+            // Chess960 castling: the rook starts on the square its king has just taken
+            const rookSquare = getSquareByNotation(change.to);
+            if (rookSquare) {
+                rookSquare.innerHTML = '';
+                rookSquare.appendChild(createDraggablePiece(change.piece, change.to));
+            }
+        } else {
+            movePiece(change.from, change.to, change.piece, animate, enableSound);
+        }
+    });
+}
+
+// Function to redraw the board at currentMoveIndex, replaying the game from its start
+function updateBoardPosition() {
+    if (!currentGame) return;
+
+    console.log('Updating board position to move index:', currentMoveIndex, 'Total moves:', currentGame.moves_detailed.length);
+
+    // Clear the board completely
+    const board = document.getElementById('chess-board');
+    const squares = board.querySelectorAll('.chess-square');
+    squares.forEach(square => {
+        square.innerHTML = '';
+    });
+
+    // Reset the move parser's position tracking
+    boardState.reset(currentGame);
+
+    // Set up initial position
+    setupInitialPosition();
+
+    // Apply moves up to current position
+    // Puzzles given as a FEN start from initial_move_index, games start from 0
+    for (let i = boardState.getStartIndex(currentGame); i < currentMoveIndex && i < currentGame.moves_detailed.length; i++) {
+        const move = currentGame.moves_detailed[i];
+        console.log(`Applying move ${i + 1}:`, move.white || move.black);
+        applyMove(move, false, false);
+    }
+
+    // Play sound only for the current (last applied) move
+    if (currentMoveIndex > 0 && currentMoveIndex <= currentGame.moves_detailed.length) {
+        const lastMove = currentGame.moves_detailed[currentMoveIndex - 1];
+        if (lastMove) {
+            // Check if it's a capture by looking for 'x' in the move notation
+            const moveNotation = lastMove.white || lastMove.black;
+            const isCapture = moveNotation && moveNotation.includes('x');
+            playSound(isCapture);
+        }
+    }
+
+    // Re-initialize drag and drop for all pieces
+    reinitializeDragAndDrop();
+
+    // Make pieces invisible if in test mode
+    // This must happen after reinitializeDragAndDrop() to ensure pieces are found
+    if (isChallengeMode) {
+        const pieces = document.querySelectorAll('.chess-piece');
+        pieces.forEach(piece => {
+            piece.style.opacity = '0';
+        });
+    }
+
+    // Update move highlighting
+    highlightCurrentMove();
+
+    if (typeof afterBoardPositionUpdate === 'function') {
+        afterBoardPositionUpdate();
+    }
+}
+
+// Function to play the game's next move on the board, animated
+function executeMove() {
+    if (!currentGame || currentMoveIndex >= currentGame.moves_detailed.length) return;
+
+    clearSelection();
+    const move = currentGame.moves_detailed[currentMoveIndex];
+    const moveNotation = move.white || move.black;
+    console.log('Executing move:', moveNotation, 'isWhite:', !!move.white);
+
+    // Animate every piece the move changes: the piece itself, the rook when castling,
+    // and the pawn taken en passant (removed once the capturing pawn has arrived).
+    // An entry the parser cannot resolve is skipped; boardState has already warned about it
+    (boardState.applyMove(move) || []).forEach(change => {
+        if (change.remove) {
+            setTimeout(() => {
+                const capturedSquare = getSquareByNotation(change.remove);
+                if (capturedSquare) {
+                    capturedSquare.innerHTML = '';
+                }
+            }, 350);
+            return;
+        }
+
+        const sourceSquare = getSquareByNotation(change.from);
+        const destinationSquare = getSquareByNotation(change.to);
+        if (sourceSquare && destinationSquare) {
+            animateExistingPiece(sourceSquare, destinationSquare, change.piece);
+        }
+    });
+
+    currentMoveIndex++;
+    updateMoveButtons();
+    highlightCurrentMove();
+
+    if (typeof afterMoveExecuted === 'function') {
+        afterMoveExecuted(move, moveNotation);
+    }
+
+    const isFinalMove = currentMoveIndex >= currentGame.moves_detailed.length;
+
+    // Show the green check indicator on the final position once the animation (300ms) is over
+    if (isFinalMove) {
+        setTimeout(() => {
+            removeLastMoveCheck();
+            showLastMoveCheck();
+        }, 400);
+    }
+
+    // In test mode, mark the piece that made the final move; the badge itself is shown by checkChallengeProgress
+    if (isChallengeMode && isFinalMove) {
+        setTimeout(() => {
+            showCompletionIndicator();
+        }, 400);
+    }
+
+    // Update challenge progress in test mode
+    if (isChallengeMode) {
+        checkChallengeProgress();
+    }
+}
+
+// Function to write the coordinate labels around the board, the right way round for boardFlipped
+function generateCoordinateLabels() {
+    const bottomLabels = document.getElementById('coordinate-labels-bottom');
+    const rightLabels = document.getElementById('coordinate-labels-right');
+
+    // Clear existing labels
+    bottomLabels.innerHTML = '';
+    rightLabels.innerHTML = '';
+
+    // Generate letter labels (a-h) for bottom
+    const letters = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+
+    for (let i = 0; i < 8; i++) {
+        const bottomLabel = document.createElement('div');
+        const displayLetter = boardFlipped ? letters[7 - i] : letters[i];
+
+        bottomLabel.className = 'coordinate-label letter';
+        bottomLabel.textContent = displayLetter;
+
+        bottomLabels.appendChild(bottomLabel);
+    }
+
+    // Generate number labels (1-8) for right
+    const numbers = ['8', '7', '6', '5', '4', '3', '2', '1'];
+
+    for (let i = 0; i < 8; i++) {
+        const rightLabel = document.createElement('div');
+        const displayNumber = boardFlipped ? numbers[7 - i] : numbers[i];
+
+        rightLabel.className = 'coordinate-label number';
+        rightLabel.textContent = displayNumber;
+
+        rightLabels.appendChild(rightLabel);
+    }
+}
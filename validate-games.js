@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+// Offline content validator for the game and puzzle libraries
+// Replays every game in games/games.json, games/puzzles.json and games/custom-games.json
+// through ChessMoveParser and reports, per game, every move whose SAN is illegal or does not
+// match its *_from/*_to squares, wrong `moves` counts, illegal FENs and puzzle solutions
+// that do not end in mate.
+// `moves` is checked against the real length of the game: the ply count for custom games
+// (as saveCustomGameLocal stores it) and the full-move count for the library files, where
+// it sorts games into the short / medium / long menus.
+// Usage: node validate-games.js [file.json ...]   (exits with 1 if any game has errors)
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+
+// Get __dirname equivalent for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const defaultFiles = ['games/games.json', 'games/puzzles.json', 'games/custom-games.json'];
+
+// chess-move-parser.js is a browser script, so run it in a sandbox and pick up its CommonJS-style export
+function loadChessMoveParser() {
+    const sandbox = { module: { exports: {} }, console: { log() {}, warn() {}, error: console.error } };
+    const source = fs.readFileSync(path.join(__dirname, 'chess-move-parser.js'), 'utf8');
+    vm.runInContext(source, vm.createContext(sandbox), { filename: 'chess-move-parser.js' });
+    return sandbox.module.exports.ChessMoveParser;
+}
+
+const ChessMoveParser = loadChessMoveParser();
+
+// Build a parser for a FEN and check that the position could occur in a game
+function createParserFromFEN(fen) {
+    const parser = new ChessMoveParser(fen);
+    const sideNotToMove = parser.sideToMove === 'white' ? 'black' : 'white';
+    if (parser.isInCheck(sideNotToMove === 'white')) {
+        throw new Error(`Illegal FEN "${fen}": ${sideNotToMove} is in check but it is ${parser.sideToMove} to move`);
+    }
+    return parser;
+}
+
+// The SAN suffix (+ or #) must agree with the position after the move
+function checkSuffix(notation, parser, label, errors) {
+    const isWhiteToMove = parser.sideToMove === 'white';
+    const inCheck = parser.isInCheck(isWhiteToMove);
+    const isMate = inCheck && parser.generateLegalMoves(isWhiteToMove).length === 0;
+    const suffix = notation.endsWith('#') ? '#' : notation.endsWith('+') ? '+' : '';
+    const expected = isMate ? '#' : inCheck ? '+' : '';
+    if (suffix !== expected) {
+        errors.push(`${label}: SAN suffix should be "${expected || 'none'}" but is "${suffix || 'none'}"`);
+    }
+}
+
+// Replay one line of moves_detailed entries (and their variations) on the parser, collecting errors
+function replayLine(entries, parser, errors, linePrefix = '') {
+    for (let index = 0; index < entries.length; index++) {
+        const entry = entries[index];
+        const color = entry.white ? 'white' : entry.black ? 'black' : null;
+        const label = `${linePrefix}ply ${index + 1} (${color ? `${entry.move_number}${color === 'white' ? '.' : '...'} ${entry[color]}` : `move ${entry.move_number}`})`;
+
+        if (!color) {
+            errors.push(`${label}: entry has neither a white nor a black move`);
+            return false;
+        }
+        if (entry.white && entry.black) {
+            errors.push(`${label}: entry has both a white and a black move`);
+            return false;
+        }
+        if (color !== parser.sideToMove) {
+            errors.push(`${label}: it is ${parser.sideToMove} to move`);
+            return false;
+        }
+
+        const positionBefore = parser.toFEN();
+        let move;
+        try {
+            move = parser.parseMove(entry[color], color === 'white');
+        } catch (error) {
+            errors.push(`${label}: ${error.message}`);
+            return false;
+        }
+
+        const from = entry[`${color}_from`];
+        const to = entry[`${color}_to`];
+        if (!from || !to) {
+            errors.push(`${label}: missing ${color}_from/${color}_to (SAN gives ${move.source}-${move.target})`);
+        } else if (from !== move.source || to !== move.target) {
+            errors.push(`${label}: ${color}_from/${color}_to are ${from}-${to} but the SAN is ${move.source}-${move.target}`);
+        }
+
+        parser.updatePiecePosition(move.piece, move.source, move.target, color === 'white', move.promotion || null);
+        checkSuffix(entry[color], parser, label, errors);
+
+        // Variations replace this entry, so they are played from the position before it
+        (entry.variations || []).forEach((variation, variationIndex) => {
+            replayLine(variation, new ChessMoveParser(positionBefore), errors, `${linePrefix}variation ${variationIndex + 1} of ply ${index + 1}, `);
+        });
+    }
+    return true;
+}
+
+// Play a puzzle's solution from its FEN and check that it ends in checkmate
+function checkPuzzleSolution(puzzle, errors) {
+    if (!Array.isArray(puzzle.solution) || puzzle.solution.length === 0) {
+        errors.push('puzzle has no solution');
+        return;
+    }
+
+    const parser = createParserFromFEN(puzzle.fen);
+    for (const notation of puzzle.solution) {
+        const isWhite = parser.sideToMove === 'white';
+        let move;
+        try {
+            move = parser.parseMove(notation, isWhite);
+        } catch (error) {
+            errors.push(`solution move ${notation}: ${error.message}`);
+            return;
+        }
+        parser.updatePiecePosition(move.piece, move.source, move.target, isWhite, move.promotion || null);
+    }
+
+    const isWhiteToMove = parser.sideToMove === 'white';
+    if (!parser.isInCheck(isWhiteToMove) || parser.generateLegalMoves(isWhiteToMove).length > 0) {
+        errors.push(`solution ${puzzle.solution.join(' ')} does not end in checkmate`);
+    }
+}
+
+function validateGame(game, isPuzzle, countsPlies) {
+    const errors = [];
+    const entries = game.moves_detailed || [];
+
+    let parser;
+    try {
+        parser = game.fen ? createParserFromFEN(game.fen) : new ChessMoveParser();
+    } catch (error) {
+        errors.push(error.message);
+        return errors;
+    }
+
+    if (isPuzzle && game.fen) {
+        const fenTurn = parser.sideToMove;
+        if (game.turn && game.turn !== fenTurn) {
+            errors.push(`turn is "${game.turn}" but the FEN has ${fenTurn} to move`);
+        }
+        checkPuzzleSolution(game, errors);
+    }
+
+    // Puzzles given as a FEN may start part-way through their moves, like puzzles.html does
+    const startIndex = game.fen ? game.initial_move_index || 0 : 0;
+    replayLine(entries.slice(startIndex), parser, errors);
+
+    // Entries without `moves` are kept out of the game menus on purpose, so only check it when present
+    if (game.moves !== undefined) {
+        const plyCount = entries.length - startIndex;
+        const startsWithBlack = entries.length > startIndex && !entries[startIndex].white;
+        const expected = countsPlies ? plyCount : Math.ceil((plyCount + (startsWithBlack ? 1 : 0)) / 2);
+        if (game.moves !== expected) {
+            errors.push(`moves is ${game.moves} but moves_detailed has ${plyCount} plies (${expected} ${countsPlies ? 'plies' : 'full moves'})`);
+        }
+    }
+
+    return errors;
+}
+
+function validateFile(relativePath) {
+    const data = JSON.parse(fs.readFileSync(path.resolve(__dirname, relativePath), 'utf8'));
+    const isPuzzleFile = Array.isArray(data.puzzles);
+    const games = isPuzzleFile ? data.puzzles : data.games || [];
+
+    return games.map(game => ({
+        file: relativePath,
+        id: game.id,
+        name: game.name,
+        errors: validateGame(game, isPuzzleFile || Array.isArray(game.solution), game.id && game.id.startsWith('custom-game-'))
+    }));
+}
+
+const files = process.argv.slice(2).length > 0 ? process.argv.slice(2) : defaultFiles;
+let reports = [];
+for (const file of files) {
+    try {
+        reports = reports.concat(validateFile(file));
+    } catch (error) {
+        reports.push({ file, id: '-', name: 'file', errors: [`cannot read: ${error.message}`] });
+    }
+}
+
+reports.forEach(report => {
+    if (report.errors.length === 0) {
+        console.log(`✅ ${report.file} › ${report.id} (${report.name})`);
+    } else {
+        console.log(`❌ ${report.file} › ${report.id} (${report.name})`);
+        report.errors.forEach(error => console.log(`   - ${error}`));
+    }
+});
+
+const failed = reports.filter(report => report.errors.length > 0);
+console.log(`\n${reports.length - failed.length}/${reports.length} games valid`);
+if (failed.length > 0) {
+    process.exit(1);
+}